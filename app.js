@@ -1,5 +1,6 @@
 // --- Constants & Config ---
 const ROUND_STEP = 0.5;
+const SCHEMA_VERSION = 2;
 
 // --- Data Models & State ---
 const state = {
@@ -7,67 +8,385 @@ const state = {
     selectedTargetId: null,
     targets: [],
     holidays: {}, // { 'YYYY-MM-DD': 'Name' }
-    exclusionDates: [], // Legacy
+    holidaySources: { csv: [], generated: [] }, // 祝日データの出どころ（年の一覧）
+    useJapaneseHolidays: true,
+    holidayCalendars: [], // [ { id, name, enabled, dates: { 'YYYY-MM-DD': 'Name' } } ] 学校・会社・他国の休日
     weeklyHours: {
         mon: 4, tue: 4, wed: 4, thu: 4, fri: 4,
         sat: 10, sun: 11, holiday: 10
     },
     customDates: {}, // { "YYYY-MM-DD": hours }
-    timePeriods: [] // [ { id, name, start, end, weeklyHours: {...} } ]
+    busyCalendars: [], // ICS から取り込んだ予定 [ { id, name, dates: { 'YYYY-MM-DD': { allDay, hours } } } ] その日の時間から差し引く
+    timePeriods: [], // [ { id, name, start, end, weeklyHours: {...} } ]
+    timeSlots: { weekday: null, weekend: null, holiday: null }, // 任意の時間帯 { start: 'HH:MM', end: 'HH:MM' }
+    hourRules: [], // [ { id, name, days: ['sat'], weeks: [2, 4], start, end, hours, skipHolidays } ] weeks: 空=毎週, -1=最終週
+    allocationMode: 'priority', // 'priority' | 'deadline' (複数ターゲット間の時間の分け方)
+    notifications: { enabled: false, quietStart: '22:00', quietEnd: '07:00' } // リマインダー通知
 };
 // target structure example:
-// { id, name, targetDate, color, type: 'study'|'event', tasks: [], createdAt }
+// { id, name, targetDate, color, type: 'study'|'event', tasks: [], milestones: [], priority, reminders, createdAt }
+// reminders structure example:
+// { daysBefore: 3 (0 = なし), dailyTime: '19:00' ('' = なし、勉強ターゲットのみ) }
+// milestone structure example:
+// { id, name, date: 'YYYY-MM-DD', taskIds: [], done }
+// task structure example:
+// { id, title, weight, requiredHours, done, subtasks: [ { id, title, done } ], logs: [ { id, date: 'YYYY-MM-DD', hours } ] }
 
 // --- Storage ---
 const storage = {
+    /**
+     * Persisted part of state in the current schema.
+     * While the what-if sandbox is active, the schedule settings saved are the pre-sandbox ones,
+     * and so are target priorities and daily plans (plans are built from the simulated hours).
+     */
+    serialize: () => {
+        const schedule = sandbox.active ? sandbox.original : state;
+        return {
+            version: SCHEMA_VERSION,
+            targets: sandbox.active
+                ? state.targets.map(t => ({ ...t, plan: sandbox.plans[t.id] || null, priority: sandbox.originalPriority(t) }))
+                : state.targets,
+            weeklyHours: schedule.weeklyHours,
+            customDates: schedule.customDates,
+            busyCalendars: schedule.busyCalendars,
+            timePeriods: schedule.timePeriods,
+            hourRules: schedule.hourRules,
+            timeSlots: schedule.timeSlots,
+            useJapaneseHolidays: schedule.useJapaneseHolidays,
+            holidayCalendars: schedule.holidayCalendars,
+            allocationMode: schedule.allocationMode,
+            notifications: state.notifications
+        };
+    },
     save: () => {
-        localStorage.setItem('timemark_data', JSON.stringify({
-            targets: state.targets,
-            weeklyHours: state.weeklyHours,
-            customDates: state.customDates,
-            timePeriods: state.timePeriods
-        }));
+        localStorage.setItem('timemark_data', JSON.stringify(storage.serialize()));
     },
+    /**
+     * Load saved data. Unreadable data (broken JSON, a newer schema) is copied to
+     * timemark_data_unreadable before the next save can overwrite it, and the app starts empty.
+     */
     load: () => {
         const data = localStorage.getItem('timemark_data');
-        if (data) {
-            const parsed = JSON.parse(data);
-            state.targets = parsed.targets || [];
-            state.weeklyHours = parsed.weeklyHours || state.weeklyHours;
-            state.customDates = parsed.customDates || {};
-            state.timePeriods = parsed.timePeriods || [];
-
-            // Migration: if customDates is empty but exclusionDates exists
-            if (Object.keys(state.customDates).length === 0 && parsed.exclusionDates) {
-                parsed.exclusionDates.forEach(d => state.customDates[d] = 0);
+        if (!data) return;
+        try {
+            storage.apply(storage.migrate(JSON.parse(data)));
+        } catch (e) {
+            console.error('Failed to load saved data:', e);
+            localStorage.setItem('timemark_data_unreadable', data);
+            showBanner(`保存データを読み込めませんでした（${e.message}）。元のデータは退避してあります`, {
+                label: 'ダウンロード',
+                onClick: () => downloadFile(`timemark-unreadable-${timeUtils.formatDate(new Date())}.json`, data, 'application/json')
+            });
+        }
+    },
+    apply: (data) => {
+        state.targets = data.targets || [];
+        state.weeklyHours = data.weeklyHours || state.weeklyHours;
+        state.customDates = data.customDates || {};
+        state.busyCalendars = data.busyCalendars || [];
+        state.timePeriods = data.timePeriods || [];
+        state.hourRules = data.hourRules || [];
+        state.timeSlots = { weekday: null, weekend: null, holiday: null, ...(data.timeSlots || {}) };
+        state.useJapaneseHolidays = data.useJapaneseHolidays !== false;
+        state.holidayCalendars = data.holidayCalendars || [];
+        state.allocationMode = data.allocationMode || state.allocationMode;
+        state.notifications = { ...state.notifications, ...(data.notifications || {}) };
+    },
+
+    /**
+     * Schema migrations: migrations[n] upgrades data from version n to n + 1.
+     * Data saved before versioning has no `version` and is treated as version 1.
+     */
+    migrations: {
+        1: (data) => {
+            // Legacy exclusionDates (日付の配列) → customDates (0時間の例外日)
+            const { exclusionDates, ...rest } = data;
+            const customDates = { ...(data.customDates || {}) };
+            if (Object.keys(customDates).length === 0 && Array.isArray(exclusionDates)) {
+                exclusionDates.forEach(d => customDates[d] = 0);
             }
+            return { ...rest, customDates };
         }
     },
+    migrate: (data) => {
+        let version = data.version || 1;
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`このデータは新しいバージョン (v${version}) で作成されています`);
+        }
+        while (version < SCHEMA_VERSION) {
+            data = storage.migrations[version](data);
+            version++;
+        }
+        return { ...data, version };
+    },
     loadHolidays: async () => {
+        const csvYears = new Set();
         try {
             const response = await fetch('syukujitsu.csv');
-            const text = await response.text();
-            const lines = text.split(/\r?\n/);
-            lines.forEach((line, index) => {
-                if (index === 0 || !line.trim()) return;
-                const [dateStr, name] = line.split(',');
-                if (dateStr) {
-                    const parts = dateStr.split('/');
-                    if (parts.length === 3) {
-                        const y = parts[0];
-                        const m = parts[1].padStart(2, '0');
-                        const d = parts[2].padStart(2, '0');
-                        state.holidays[`${y}-${m}-${d}`] = name;
-                    }
-                }
-            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const dates = holidayUtils.parseCSV(holidayUtils.decode(await response.arrayBuffer()));
+            Object.assign(state.holidays, dates);
+            Object.keys(dates).forEach(dateStr => csvYears.add(Number(dateStr.slice(0, 4))));
             console.log(`Loaded ${Object.keys(state.holidays).length} holidays`);
         } catch (e) {
             console.warn('Failed to load holidays:', e);
+            // 祝日が欠けると時間の合計が黙って変わるので知らせる
+            showBanner(`祝日データ（syukujitsu.csv）を読み込めませんでした。${HOLIDAY_RULES_FROM}年以降は自動計算の祝日を使います。`);
+        }
+
+        // CSV にない年は祝日法のルールから計算する（CSV が優先）
+        state.holidaySources.csv = [...csvYears].sort((a, b) => a - b);
+        state.holidaySources.generated = holidayUtils.fill(csvYears);
+    }
+};
+
+// --- Backup (Export / Import) ---
+const backup = {
+    /**
+     * Download every target and schedule setting, including per-target base dates
+     */
+    export: () => {
+        const data = {
+            app: 'timemark',
+            exportedAt: new Date().toISOString(),
+            ...storage.serialize(),
+            baseDates: backup.collectBaseDates()
+        };
+        downloadFile(`timemark-backup-${timeUtils.formatDate(new Date())}.json`, JSON.stringify(data, null, 2), 'application/json');
+    },
+
+    collectBaseDates: () => {
+        const baseDates = {};
+        state.targets.forEach(t => {
+            const baseDate = localStorage.getItem(`base_date_${t.id}`);
+            if (baseDate) baseDates[t.id] = baseDate;
+        });
+        return baseDates;
+    },
+
+    /**
+     * Parse, migrate and validate a backup file. Throws with a user-facing message.
+     */
+    parse: (text) => {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            throw new Error('JSONとして読み込めませんでした');
+        }
+        if (!raw || typeof raw !== 'object' || raw.app !== 'timemark') {
+            throw new Error('TimeMarkのバックアップファイルではありません');
+        }
+        const data = storage.migrate(raw);
+        backup.validate(data);
+        return data;
+    },
+
+    validate: (data) => {
+        const isDateStr = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+        const isHoursMap = (v) => v && typeof v === 'object' && Object.values(v).every(h => typeof h === 'number');
+        // 曜日が欠けると計算が NaN になるので全曜日を必須にする（期間の祝日は日曜の設定で代用される）
+        const weekDays = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+        const isWeekHours = (v, days) => isHoursMap(v) && days.every(d => typeof v[d] === 'number');
+
+        const isLog = (log) => log && isDateStr(log.date) && typeof log.hours === 'number';
+        const isSubtask = (st) => st && st.id && typeof st.title === 'string';
+        const isTask = (task) => task && typeof task.id === 'string' && typeof task.title === 'string' && typeof task.weight === 'number'
+            && (task.requiredHours == null || typeof task.requiredHours === 'number')
+            && (task.logs === undefined || (Array.isArray(task.logs) && task.logs.every(isLog)))
+            && (task.subtasks === undefined || (Array.isArray(task.subtasks) && task.subtasks.every(isSubtask)));
+        const isMilestone = (m) => m && m.id && typeof m.name === 'string' && isDateStr(m.date)
+            && (m.taskIds === undefined || Array.isArray(m.taskIds));
+
+        if (!Array.isArray(data.targets)) throw new Error('targets がありません');
+        data.targets.forEach((t, i) => {
+            if (!t || typeof t.id !== 'string' || typeof t.name !== 'string' || !isDateStr(t.targetDate)
+                || !['study', 'event'].includes(t.type) || !Array.isArray(t.tasks)) {
+                throw new Error(`ターゲット ${i + 1} の形式が不正です`);
+            }
+            // 中身が欠けていると一覧や配分の計算で落ちるので、タスクとマイルストーンも確かめる
+            const taskIndex = t.tasks.findIndex(task => !isTask(task));
+            if (taskIndex >= 0) throw new Error(`ターゲット ${i + 1} のタスク ${taskIndex + 1} の形式が不正です`);
+            if (t.milestones !== undefined && (!Array.isArray(t.milestones) || !t.milestones.every(isMilestone))) {
+                throw new Error(`ターゲット ${i + 1} のマイルストーンの形式が不正です`);
+            }
+        });
+        if (data.weeklyHours !== undefined && !isWeekHours(data.weeklyHours, [...weekDays, 'holiday'])) throw new Error('weeklyHours の形式が不正です');
+        if (data.customDates !== undefined && (!isHoursMap(data.customDates) || !Object.keys(data.customDates).every(isDateStr))) {
+            throw new Error('customDates の形式が不正です');
+        }
+        if (data.busyCalendars !== undefined && (!Array.isArray(data.busyCalendars)
+            || !data.busyCalendars.every(c => c && c.id && typeof c.name === 'string' && c.dates && typeof c.dates === 'object'
+                && Object.entries(c.dates).every(([d, b]) => isDateStr(d) && b && typeof b.allDay === 'boolean' && typeof b.hours === 'number')))) {
+            throw new Error('busyCalendars の形式が不正です');
+        }
+        if (data.timePeriods !== undefined && (!Array.isArray(data.timePeriods)
+            || !data.timePeriods.every(p => p && p.id && isDateStr(p.start) && isDateStr(p.end) && isWeekHours(p.weeklyHours, weekDays)))) {
+            throw new Error('timePeriods の形式が不正です');
+        }
+        if (data.hourRules !== undefined && (!Array.isArray(data.hourRules)
+            || !data.hourRules.every(r => r && r.id && Array.isArray(r.days) && Array.isArray(r.weeks) && typeof r.hours === 'number'
+                && (!r.start || isDateStr(r.start)) && (!r.end || isDateStr(r.end))))) {
+            throw new Error('hourRules の形式が不正です');
+        }
+        const isTime = (v) => typeof v === 'string' && /^\d{2}:\d{2}$/.test(v);
+        if (data.timeSlots !== undefined && (!data.timeSlots || typeof data.timeSlots !== 'object'
+            || !Object.values(data.timeSlots).every(slot => slot === null || (isTime(slot.start) && isTime(slot.end))))) {
+            throw new Error('timeSlots の形式が不正です');
+        }
+        if (data.holidayCalendars !== undefined && (!Array.isArray(data.holidayCalendars)
+            || !data.holidayCalendars.every(c => c && c.id && c.dates && typeof c.dates === 'object' && Object.keys(c.dates).every(isDateStr)))) {
+            throw new Error('holidayCalendars の形式が不正です');
+        }
+        if (data.baseDates !== undefined && (typeof data.baseDates !== 'object' || !Object.values(data.baseDates).every(isDateStr))) {
+            throw new Error('baseDates の形式が不正です');
+        }
+    },
+
+    /**
+     * Restore a parsed backup. 'replace' overwrites everything; 'merge' keeps the
+     * current weekly settings and adds or updates targets, periods, rules and exception dates by id/date.
+     */
+    restore: (data, mode) => {
+        const baseDates = data.baseDates || {};
+        // 復元したデータをシミュレーション前の設定で上書きしないように
+        if (sandbox.active) sandbox.discard();
+
+        if (mode === 'replace') {
+            state.targets.forEach(t => localStorage.removeItem(`base_date_${t.id}`));
+            storage.apply(data);
+        } else {
+            const mergeById = (current, imported) => [
+                ...current.filter(item => !imported.some(i => i.id === item.id)),
+                ...imported
+            ];
+            state.targets = mergeById(state.targets, data.targets);
+            state.timePeriods = mergeById(state.timePeriods, data.timePeriods || []);
+            state.hourRules = mergeById(state.hourRules, data.hourRules || []);
+            state.holidayCalendars = mergeById(state.holidayCalendars, data.holidayCalendars || []);
+            state.customDates = { ...state.customDates, ...(data.customDates || {}) };
+            state.busyCalendars = mergeById(state.busyCalendars, data.busyCalendars || []);
+        }
+
+        Object.entries(baseDates).forEach(([id, date]) => localStorage.setItem(`base_date_${id}`, date));
+        storage.save();
+    }
+};
+
+// --- Sandbox (What-if) ---
+const SCHEDULE_FIELDS = [
+    'weeklyHours', 'customDates', 'busyCalendars', 'timePeriods', 'hourRules', 'timeSlots',
+    'useJapaneseHolidays', 'holidayCalendars', 'allocationMode'
+];
+
+const sandbox = {
+    active: false,
+    original: null, // シミュレーション開始時のスケジュール設定
+    plans: null, // シミュレーション開始時の日別プラン { targetId: plan }
+    priorities: null, // シミュレーション開始時のターゲットの優先度 { targetId: priority }（時間の配分が変わるため）
+
+    /**
+     * Deep copy of the schedule settings in `source`
+     */
+    pick: (source) => JSON.parse(JSON.stringify(Object.fromEntries(SCHEDULE_FIELDS.map(f => [f, source[f]])))),
+
+    /**
+     * Start editing a copy of the schedule. Edits change state (so every view previews them)
+     * but storage.save keeps writing the original until apply.
+     */
+    start: () => {
+        sandbox.original = sandbox.pick(state);
+        sandbox.plans = Object.fromEntries(state.targets.map(t => [t.id, t.plan || null]));
+        sandbox.priorities = Object.fromEntries(state.targets.map(t => [t.id, t.priority]));
+        sandbox.active = true;
+    },
+
+    /**
+     * Priority a target had before the sandbox (targets added since keep their current one)
+     */
+    originalPriority: (target) => target.id in sandbox.priorities ? sandbox.priorities[target.id] : target.priority,
+
+    apply: () => {
+        sandbox.active = false;
+        sandbox.original = null;
+        sandbox.plans = null;
+        sandbox.priorities = null;
+        storage.save();
+    },
+
+    discard: () => {
+        Object.assign(state, sandbox.original);
+        // シミュレーション中に作り直したプランは変更後の時間で組まれているので戻す
+        state.targets.forEach(t => {
+            t.plan = sandbox.plans[t.id] || null;
+            t.priority = sandbox.originalPriority(t);
+        });
+        sandbox.active = false;
+        sandbox.original = null;
+        sandbox.plans = null;
+        sandbox.priorities = null;
+        storage.save();
+    },
+
+    /**
+     * Run fn with the given schedule settings (and, if given, target priorities) temporarily in state
+     */
+    withSchedule: (schedule, fn, priorities = null) => {
+        const saved = SCHEDULE_FIELDS.map(f => state[f]);
+        const savedPriorities = state.targets.map(t => t.priority);
+        Object.assign(state, schedule);
+        if (priorities) state.targets.forEach(t => t.id in priorities && (t.priority = priorities[t.id]));
+        try {
+            return fn();
+        } finally {
+            SCHEDULE_FIELDS.forEach((f, i) => state[f] = saved[i]);
+            state.targets.forEach((t, i) => t.priority = savedPriorities[i]);
         }
+    },
+
+    /**
+     * Per target: calcTotalHours from its base date, the hours allocated to it and its task split
+     */
+    summarize: () => state.targets.map(target => {
+        const baseDate = timeUtils.parseDate(localStorage.getItem(`base_date_${target.id}`) || timeUtils.formatDate(new Date()));
+        const targetDate = timeUtils.parseDate(target.targetDate);
+        const totalHours = timeUtils.calcTotalHours(baseDate, targetDate);
+        if (target.type !== 'study') return { id: target.id, totalHours, allocated: null, tasks: [] };
+
+        const allocated = planner.getTargetHours(target, baseDate);
+        const tasks = timeUtils.allocateTaskHours(allocated, target.tasks).map(t => ({ id: t.id, hours: t.hours }));
+        return { id: target.id, totalHours, allocated, tasks };
+    }),
+
+    /**
+     * Summaries before (original schedule) and after (sandbox edits), keyed by target id
+     */
+    compare: () => {
+        const before = sandbox.withSchedule(sandbox.original, sandbox.summarize, sandbox.priorities);
+        const after = sandbox.summarize();
+        return state.targets.map((target, i) => ({ target, before: before[i], after: after[i] }));
     }
 };
 
+/**
+ * Escape text that comes from imported files (holiday and calendar names) before it goes into innerHTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
 // --- Utils: Time Calculation ---
 const timeUtils = {
     /**
@@ -79,6 +398,25 @@ const timeUtils = {
         return d;
     },
 
+    /**
+     * Parse 'YYYY-MM-DD' as local midnight. (`new Date('YYYY-MM-DD')` is UTC midnight,
+     * which is the previous day in timezones west of UTC.) Invalid input gives an Invalid Date.
+     */
+    parseDate: (dateStr) => {
+        const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+        return m ? new Date(+m[1], m[2] - 1, +m[3]) : new Date(NaN);
+    },
+
+    /**
+     * Format a date as local 'YYYY-MM-DD'
+     */
+    formatDate: (date) => {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    },
+
     /**
      * Calculate calendar days difference (Target day is 0)
      */
@@ -87,41 +425,153 @@ const timeUtils = {
         const end = timeUtils.startOfDay(targetDate);
         if (!start || !end || isNaN(start) || isNaN(end)) return 0;
         const diff = end.getTime() - start.getTime();
-        return Math.ceil(diff / (1000 * 60 * 60 * 24));
+        // DST の切り替え日は 23 / 25 時間になるので丸める
+        return Math.round(diff / (1000 * 60 * 60 * 24));
     },
 
     /**
      * Get available hours for a specific date
      */
     getHoursForDate: (date) => {
-        const dateStr = date.toISOString().split('T')[0];
+        return timeUtils.resolveHours(date).hours;
+    },
+
+    /**
+     * Resolve a date's available hours and the rule that produced them:
+     * { hours, source: 'custom'|'rule'|'period'|'holiday'|'weekly', holidayName, period, rule, busy }
+     *
+     * 取り込んだ予定 (busyCalendars) はルール・期間・曜日設定の時間から差し引く。例外日はそのまま使う。
+     */
+    resolveHours: (date) => {
+        const resolved = timeUtils.resolveScheduledHours(date);
+        const busy = timeUtils.getBusy(timeUtils.formatDate(date));
+        if (!busy || resolved.source === 'custom') return { ...resolved, busy: null };
+
+        const hours = busy.allDay ? 0 : Math.max(0, Math.round((resolved.hours - busy.hours) / ROUND_STEP) * ROUND_STEP);
+        return { ...resolved, hours, busy };
+    },
+
+    /**
+     * Hours from the schedule settings alone, before imported events are deducted.
+     *
+     * Priority: 例外日 (customDates) > 繰り返しルール (hourRules, 一覧の上から最初に一致したもの)
+     * > 期間指定 (timePeriods, 重なる場合は一覧の上のもの) > 通常の曜日設定。祝日は期間・曜日設定の中で 'holiday' として扱う。
+     */
+    resolveScheduledHours: (date) => {
+        const dateStr = timeUtils.formatDate(date);
+
+        // 1.5 祝日判定 (syukujitsu.csv から読み込んだデータ)
+        const holidayName = holidayUtils.getName(dateStr);
 
         // 1. 最優先: 個別例外日
         if (state.customDates[dateStr] !== undefined) {
-            return state.customDates[dateStr];
+            return { hours: state.customDates[dateStr], source: 'custom', holidayName, period: null, rule: null };
         }
 
-        // 1.5 祝日判定 (syukujitsu.csv から読み込んだデータ)
-        const isHoliday = !!state.holidays[dateStr];
+        // 1.7 繰り返しルール (第2・第4土曜など)
+        const rule = state.hourRules.find(r => timeUtils.matchesHourRule(r, date, dateStr, !!holidayName));
+        if (rule) {
+            return { hours: rule.hours, source: 'rule', holidayName, period: null, rule };
+        }
 
-        // 2. 次点: 期間指定の設定 (長期休暇など)
-        const period = state.timePeriods.find(p => dateStr >= p.start && dateStr <= p.end);
+        // 2. 次点: 期間指定の設定 (長期休暇など)。配列の順番がそのまま優先順位
+        const period = state.timePeriods.find(p => dateStr >= p.start && dateStr <= p.end) || null;
 
         const dayMap = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
         let dayName = dayMap[date.getDay()];
 
         // 祝日の場合は曜日を 'holiday' とみなす (期間設定内でも祝日設定があればそれを優先するか、後続の weeklyHours で holiday を使う)
-        if (isHoliday) {
+        if (holidayName) {
             dayName = 'holiday';
         }
 
         if (period) {
             // 期間設定内の週設定に 'holiday' がない場合は日曜日の設定を流用する (以前のロジック踏襲)
-            return period.weeklyHours[dayName] !== undefined ? period.weeklyHours[dayName] : period.weeklyHours['sun'];
+            const hours = period.weeklyHours[dayName] !== undefined ? period.weeklyHours[dayName] : period.weeklyHours['sun'];
+            return { hours, source: 'period', holidayName, period, rule: null };
         }
 
         // 3. デフォルト: 通常の曜日設定
-        return state.weeklyHours[dayName];
+        return { hours: state.weeklyHours[dayName], source: holidayName ? 'holiday' : 'weekly', holidayName, period: null, rule: null };
+    },
+
+    /**
+     * Imported events on a date, added up across calendars: { allDay, hours } or null
+     */
+    getBusy: (dateStr) => {
+        const entries = state.busyCalendars.map(c => c.dates[dateStr]).filter(Boolean);
+        if (entries.length === 0) return null;
+        return {
+            allDay: entries.some(b => b.allDay),
+            hours: entries.reduce((sum, b) => sum + b.hours, 0)
+        };
+    },
+
+    /**
+     * Short label for an imported event day, e.g. "予定 -1.5h"
+     */
+    describeBusy: (busy) => busy.allDay ? '終日の予定' : `予定 -${Math.round(busy.hours * 10) / 10}h`,
+
+    /**
+     * Whether a recurring rule applies on a date (曜日 + 第n週 + 有効期間 + 祝日除外)
+     */
+    matchesHourRule: (rule, date, dateStr, isHoliday) => {
+        if (rule.start && dateStr < rule.start) return false;
+        if (rule.end && dateStr > rule.end) return false;
+        if (rule.skipHolidays && isHoliday) return false;
+
+        const dayMap = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        if (!rule.days.includes(dayMap[date.getDay()])) return false;
+        if (rule.weeks.length === 0) return true;
+
+        const nth = Math.ceil(date.getDate() / 7);
+        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        const isLast = date.getDate() + 7 > daysInMonth;
+        return rule.weeks.includes(nth) || (isLast && rule.weeks.includes(-1));
+    },
+
+    /**
+     * Human-readable summary of a recurring rule, e.g. "毎月 第2・第4 土"
+     */
+    describeHourRule: (rule) => {
+        const dayLabels = { mon: '月', tue: '火', wed: '水', thu: '木', fri: '金', sat: '土', sun: '日' };
+        const days = Object.keys(dayLabels).filter(d => rule.days.includes(d)).map(d => dayLabels[d]).join('・');
+        const weeks = [...rule.weeks].sort((a, b) => (a === -1 ? 9 : a) - (b === -1 ? 9 : b))
+            .map(w => w === -1 ? '最終' : `第${w}`).join('・');
+        return rule.weeks.length === 0 ? `毎週 ${days}` : `毎月 ${weeks} ${days}`;
+    },
+
+    /**
+     * Time window configured for a date's day type ('weekday' | 'weekend' | 'holiday'), or null
+     */
+    getTimeSlot: (date) => {
+        const resolved = timeUtils.resolveHours(date);
+        const type = resolved.holidayName ? 'holiday' : [0, 6].includes(date.getDay()) ? 'weekend' : 'weekday';
+        return state.timeSlots[type] || null;
+    },
+
+    /**
+     * Hours still available on a date as of `now`. Only today is affected: with a time
+     * window set, the allowance is capped by what is left of the window (e.g. 19:00–23:00 at 22:00 → 1h).
+     */
+    getAvailableHours: (date, now = new Date()) => {
+        const hours = timeUtils.getHoursForDate(date);
+        if (timeUtils.formatDate(date) !== timeUtils.formatDate(now)) return hours;
+
+        const slot = timeUtils.getTimeSlot(date);
+        if (!slot) return hours;
+
+        const toMinutes = (hhmm) => {
+            const [h, m] = hhmm.split(':').map(Number);
+            return h * 60 + m;
+        };
+        const start = toMinutes(slot.start);
+        let end = toMinutes(slot.end);
+        if (end <= start) end += 24 * 60; // 23:00–01:00 のように日付をまたぐ時間帯
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+        const left = Math.max(0, end - Math.max(start, nowMinutes)) / 60;
+        return Math.min(hours, left);
     },
 
     isExcluded: (date) => {
@@ -158,7 +608,7 @@ const timeUtils = {
         const dayMap = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
         while (current < end) {
-            total += timeUtils.getHoursForDate(current);
+            total += timeUtils.getAvailableHours(current);
             current.setDate(current.getDate() + 1);
         }
         return total;
@@ -167,8 +617,12 @@ const timeUtils = {
     /**
      * Distribute hours to tasks based on weights
      */
-    allocateTaskHours: (totalHours, tasks) => {
-        if (tasks.length === 0) return [];
+    allocateTaskHours: (totalHours, allTasks) => {
+        if (allTasks.length === 0) return [];
+
+        // Completed tasks get no hours; their share goes back to the rest
+        const tasks = allTasks.filter(t => !t.done);
+        if (tasks.length === 0) return allTasks.map(t => ({ ...t, hours: 0 }));
 
         let totalWeight = tasks.reduce((sum, t) => sum + (t.weight || 0), 0);
 
@@ -194,59 +648,1061 @@ const timeUtils = {
             sortedByWeight[0].hours = Math.max(0, sortedByWeight[0].hours + diff);
         }
 
-        return allocated;
+        return allTasks.map(t => t.done ? { ...t, hours: 0 } : allocated.find(a => a.id === t.id));
+    },
+
+    /**
+     * Sum logged study hours of a task (optionally only sessions on or after fromDateStr)
+     */
+    sumLoggedHours: (task, fromDateStr = null) => {
+        return (task.logs || [])
+            .filter(log => !fromDateStr || log.date >= fromDateStr)
+            .reduce((sum, log) => sum + (log.hours || 0), 0);
+    },
+
+    /**
+     * Estimated hours still needed for a task (0 once completed), counting logs from fromDateStr if given
+     */
+    calcRemainingRequired: (task, fromDateStr = null) => {
+        if (task.done) return 0;
+        return Math.max(0, task.requiredHours - timeUtils.sumLoggedHours(task, fromDateStr));
+    },
+
+    /**
+     * Compare remaining required work with available hours (null if no estimates).
+     * Logs count from logsFromStr (the target's base date, as in the detail header).
+     */
+    calcFeasibility: (tasks, baseDate, targetDate, availableHours, logsFromStr = timeUtils.formatDate(baseDate)) => {
+        const estimated = tasks.filter(t => t.requiredHours > 0);
+        if (estimated.length === 0) return null;
+
+        const required = estimated.reduce((sum, t) => sum + t.requiredHours, 0);
+        const remaining = estimated.reduce((sum, t) => sum + timeUtils.calcRemainingRequired(t, logsFromStr), 0);
+        const shortfall = Math.max(0, remaining - availableHours);
+        // 時間を取れない日（0時間の日）には上乗せできないので、稼働日で割る
+        const days = timeUtils.calcWorkingDays(baseDate, targetDate);
+
+        return {
+            required,
+            remaining,
+            available: availableHours,
+            shortfall,
+            feasible: shortfall === 0,
+            // 不足分を残りの稼働日で均した、1日あたりの追加必要時間
+            extraPerDay: shortfall > 0 ? (days > 0 ? Math.ceil((shortfall / days) * 10) / 10 : shortfall) : 0
+        };
     }
 };
 
-// --- View Rendering ---
-const views = {
-    list: {
-        init: () => {
-            console.log('Initializing List View');
-            renderList();
-        },
-        destroy: () => { }
-    },
-    detail: {
-        init: (id) => {
-            const target = state.targets.find(t => t.id === id);
-            if (!target) {
-                switchView('list');
-                return;
+// --- Holidays (Japan) ---
+const HOLIDAY_RULES_FROM = 2022; // 現行の祝日法どおりの年（2020・2021 は五輪による特例あり）
+const HOLIDAY_YEARS_AHEAD = 30;
+
+const holidayUtils = {
+    /**
+     * National holidays of a year under the current law: { 'YYYY-MM-DD': name }.
+     * Includes 振替休日 and 国民の休日 (both named '休日', as in syukujitsu.csv).
+     */
+    generate: (year) => {
+        const holidays = {};
+        const add = (month, day, name) => holidays[timeUtils.formatDate(new Date(year, month - 1, day))] = name;
+        // 第n月曜日（ハッピーマンデー）
+        const nthMonday = (month, n) => {
+            const first = new Date(year, month - 1, 1).getDay();
+            return 1 + ((8 - first) % 7) + (n - 1) * 7;
+        };
+        // 春分・秋分の日の近似式（1980〜2099年）
+        const equinox = (base) => Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+
+        add(1, 1, '元日');
+        add(1, nthMonday(1, 2), '成人の日');
+        add(2, 11, '建国記念の日');
+        add(2, 23, '天皇誕生日');
+        add(3, equinox(20.8431), '春分の日');
+        add(4, 29, '昭和の日');
+        add(5, 3, '憲法記念日');
+        add(5, 4, 'みどりの日');
+        add(5, 5, 'こどもの日');
+        add(7, nthMonday(7, 3), '海の日');
+        add(8, 11, '山の日');
+        add(9, nthMonday(9, 3), '敬老の日');
+        add(9, equinox(23.2488), '秋分の日');
+        add(10, nthMonday(10, 2), 'スポーツの日');
+        add(11, 3, '文化の日');
+        add(11, 23, '勤労感謝の日');
+
+        const holidayDates = Object.keys(holidays);
+        const isHoliday = (date) => holidays[timeUtils.formatDate(date)] !== undefined;
+
+        // 国民の休日: 前日と翌日がともに祝日である平日
+        holidayDates.forEach(dateStr => {
+            const middle = timeUtils.parseDate(dateStr);
+            middle.setDate(middle.getDate() + 1);
+            const next = new Date(middle);
+            next.setDate(next.getDate() + 1);
+            if (!isHoliday(middle) && isHoliday(next) && next.getFullYear() === year) {
+                holidays[timeUtils.formatDate(middle)] = '休日';
             }
-            state.selectedTargetId = id;
-            console.log('Initializing Detail View for', target.name);
-            renderDetail(target);
-        },
-        destroy: () => { }
+        });
+
+        // 振替休日: 日曜日の祝日の後、最初の祝日でない日
+        holidayDates.forEach(dateStr => {
+            const date = timeUtils.parseDate(dateStr);
+            if (date.getDay() !== 0) return;
+            do {
+                date.setDate(date.getDate() + 1);
+            } while (isHoliday(date));
+            holidays[timeUtils.formatDate(date)] = '休日';
+        });
+
+        return holidays;
     },
-    road: {
-        init: () => {
-            console.log('Initializing Road View');
-            renderRoad();
-        },
-        destroy: () => { }
+
+    /**
+     * Add generated holidays for every year not in `coveredYears`, from HOLIDAY_RULES_FROM
+     * until HOLIDAY_YEARS_AHEAD years from now. Returns the generated years.
+     */
+    fill: (coveredYears) => {
+        const generated = [];
+        const lastYear = new Date().getFullYear() + HOLIDAY_YEARS_AHEAD;
+        for (let year = HOLIDAY_RULES_FROM; year <= lastYear; year++) {
+            if (coveredYears.has(year)) continue;
+            Object.assign(state.holidays, holidayUtils.generate(year));
+            generated.push(year);
+        }
+        return generated;
     },
-    settings: {
-        init: () => {
-            console.log('Initializing Settings View');
-            renderSettings();
-        },
-        destroy: () => { }
+
+    /**
+     * Holiday name for a date from any enabled calendar (built-in Japanese holidays first), or null
+     */
+    getName: (dateStr) => {
+        if (state.useJapaneseHolidays && state.holidays[dateStr]) return state.holidays[dateStr];
+        const calendar = state.holidayCalendars.find(c => c.enabled && c.dates[dateStr]);
+        return calendar ? calendar.dates[dateStr] : null;
+    },
+
+    /**
+     * Every holiday date in [from, to] across enabled calendars: { 'YYYY-MM-DD': name }
+     */
+    between: (fromStr, toStr) => {
+        const sources = [
+            ...state.holidayCalendars.filter(c => c.enabled).map(c => c.dates).reverse(),
+            state.useJapaneseHolidays ? state.holidays : {}
+        ];
+        const result = {};
+        sources.forEach(dates => Object.keys(dates).forEach(d => {
+            if (d >= fromStr && d <= toStr) result[d] = dates[d];
+        }));
+        return result;
+    },
+
+    /**
+     * Decode a calendar file: UTF-8 if valid, otherwise Shift_JIS (the Cabinet Office CSV)
+     */
+    decode: (buffer) => {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+        } catch (e) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
+    },
+
+    /**
+     * Holiday CSV ("date,name" per line; YYYY/M/D or YYYY-MM-DD). Lines without a date, such as headers, are skipped.
+     */
+    parseCSV: (text) => {
+        const dates = {};
+        text.split(/\r?\n/).forEach(line => {
+            const [dateCol, name] = line.split(',').map(s => s.replace(/^["']|["']$/g, '').trim());
+            const m = /^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/.exec(dateCol || '');
+            if (!m) return;
+            dates[`${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`] = name || '休日';
+        });
+        return dates;
+    },
+
+    /**
+     * Holiday ICS: every day an event covers, with its summary as the name.
+     * Transparent events are kept (published holiday calendars are usually marked free).
+     */
+    parseICS: (text) => {
+        const windowStart = new Date(new Date().getFullYear() - 1, 0, 1);
+        const windowEnd = new Date(new Date().getFullYear() + HOLIDAY_YEARS_AHEAD + 1, 0, 1);
+        const dates = {};
+        icsUtils.parse(text).forEach(event => {
+            icsUtils.expand(event, windowStart, windowEnd).forEach(({ start, end }) => {
+                const current = timeUtils.startOfDay(start);
+                do {
+                    dates[timeUtils.formatDate(current)] = event.summary || '休日';
+                    current.setDate(current.getDate() + 1);
+                } while (event.allDay && current < end);
+            });
+        });
+        return dates;
+    },
+
+    /**
+     * Compress a sorted year list into ranges, e.g. [2020, 2021, 2022, 2025] → '2020–2022, 2025'
+     */
+    formatYearRanges: (years) => {
+        const ranges = [];
+        years.forEach(year => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === year - 1) last[1] = year;
+            else ranges.push([year, year]);
+        });
+        return ranges.map(([from, to]) => from === to ? `${from}` : `${from}–${to}`).join(', ');
     }
 };
 
-function renderSettings() {
-    const container = document.getElementById('settings-view');
-    if (!container) return;
+// --- Milestones ---
+const milestoneUtils = {
+    /**
+     * A milestone is done when checked, or when it has linked tasks and all of them are completed
+     */
+    isDone: (target, milestone) => {
+        if (milestone.done) return true;
+        const linked = target.tasks.filter(t => (milestone.taskIds || []).includes(t.id));
+        return linked.length > 0 && linked.every(t => t.done);
+    },
 
-    const dayLabels = {
-        mon: '月曜日', tue: '火曜日', wed: '水曜日', thu: '木曜日', fri: '金曜日',
-        sat: '土曜日', sun: '日曜日', holiday: '祝日'
-    };
+    isOverdue: (target, milestone, todayStr) => milestone.date < todayStr && !milestoneUtils.isDone(target, milestone),
+
+    sorted: (target) => [...(target.milestones || [])].sort((a, b) => a.date.localeCompare(b.date)),
+
+    /**
+     * Next milestone that is not done yet (overdue ones first, since they come earlier)
+     */
+    getNext: (target) => milestoneUtils.sorted(target).find(m => !milestoneUtils.isDone(target, m)) || null
+};
+
+// --- Planner: Shared Capacity ---
+const planner = {
+    /**
+     * Split each day's available hours between the study targets active on that day
+     * (from fromDate until each target's deadline).
+     * Returns { [targetId]: { total, days: { 'YYYY-MM-DD': hours } } }
+     */
+    allocate: (fromDate) => {
+        const result = {};
+        const targets = state.targets.filter(t => t.type === 'study');
+        targets.forEach(t => result[t.id] = { total: 0, days: {} });
+        if (targets.length === 0) return result;
+
+        const deadlines = {};
+        targets.forEach(t => deadlines[t.id] = timeUtils.startOfDay(timeUtils.parseDate(t.targetDate)));
+        const lastDeadline = new Date(Math.max(...Object.values(deadlines).map(d => d.getTime())));
+
+        // deadline モードで先に確保する、見積もり済みの作業の残量
+        const need = {};
+        // 見積もりのない未完了タスクがある（作業量が決まっていない）ターゲット
+        const openEnded = new Set();
+        targets.forEach(t => {
+            const open = t.tasks.filter(task => !task.done);
+            // 実現可能性の判定と同じく、記録はターゲットの基準日から数える
+            const baseDateStr = localStorage.getItem(`base_date_${t.id}`) || timeUtils.formatDate(new Date());
+            need[t.id] = open.filter(task => task.requiredHours > 0)
+                .reduce((sum, task) => sum + timeUtils.calcRemainingRequired(task, baseDateStr), 0);
+            if (open.some(task => !(task.requiredHours > 0))) openEnded.add(t.id);
+        });
+
+        let current = timeUtils.startOfDay(fromDate);
+        if (isNaN(current) || isNaN(lastDeadline)) return result;
+
+        while (current < lastDeadline) {
+            const dateStr = timeUtils.formatDate(current);
+            const capacity = timeUtils.getAvailableHours(current);
+            const active = targets.filter(t => current < deadlines[t.id]);
+
+            if (capacity > 0 && active.length > 0) {
+                const shares = state.allocationMode === 'deadline'
+                    ? planner.splitByDeadline(capacity, active, need, openEnded)
+                    : planner.splitByPriority(capacity, active);
+                Object.entries(shares).forEach(([id, hours]) => {
+                    if (hours <= 0) return;
+                    result[id].days[dateStr] = hours;
+                    result[id].total += hours;
+                });
+            }
+            current.setDate(current.getDate() + 1);
+        }
+
+        Object.values(result).forEach(r => r.total = Math.round(r.total / ROUND_STEP) * ROUND_STEP);
+        return result;
+    },
+
+    /**
+     * Split a day's capacity proportionally to each target's priority
+     */
+    splitByPriority: (capacity, active) => {
+        const totalPriority = active.reduce((sum, t) => sum + planner.getPriority(t), 0);
+        const shares = {};
+        active.forEach(t => shares[t.id] = capacity * planner.getPriority(t) / totalPriority);
+        return shares;
+    },
+
+    /**
+     * Give a day's capacity to the earliest deadline first, moving on once its estimated work is covered.
+     * Hours left after that are split by priority between the targets with unestimated tasks (or all, if none).
+     */
+    splitByDeadline: (capacity, active, need, openEnded) => {
+        const ordered = [...active].sort((a, b) =>
+            a.targetDate.localeCompare(b.targetDate) || planner.getPriority(b) - planner.getPriority(a));
+        const shares = {};
+        let left = capacity;
+        ordered.forEach(t => {
+            const hours = Math.min(left, need[t.id]);
+            shares[t.id] = hours;
+            need[t.id] -= hours;
+            left -= hours;
+        });
+
+        // 見積もりを超えた分も捨てずに配る（見積もりのないタスクや前倒しに使える）
+        if (left > 0) {
+            const unbounded = active.filter(t => openEnded.has(t.id));
+            Object.entries(planner.splitByPriority(left, unbounded.length > 0 ? unbounded : active))
+                .forEach(([id, hours]) => shares[id] += hours);
+        }
+        return shares;
+    },
+
+    getPriority: (target) => target.priority > 0 ? target.priority : 1,
+
+    /**
+     * Progress of a study target since it was created:
+     * elapsed share of its available hours vs. completed share of its work, and a pace projection.
+     * Work is the required-hours estimate if any task has one, otherwise the available hours.
+     */
+    calcProgress: (target, today) => {
+        const start = timeUtils.startOfDay(new Date(target.createdAt || Date.now()));
+        const share = planner.allocate(start)[target.id];
+        const days = share ? share.days : {};
+        const todayStr = timeUtils.formatDate(today);
+
+        const totalHours = Object.values(days).reduce((sum, h) => sum + h, 0);
+        const elapsedHours = Object.keys(days).filter(d => d < todayStr).reduce((sum, d) => sum + days[d], 0);
+
+        const estimated = target.tasks.filter(t => t.requiredHours > 0);
+        const hasEstimates = estimated.length > 0;
+        const workTotal = hasEstimates ? estimated.reduce((sum, t) => sum + t.requiredHours, 0) : totalHours;
+        const workDone = hasEstimates
+            ? estimated.reduce((sum, t) => sum + (t.done ? t.requiredHours : Math.min(t.requiredHours, timeUtils.sumLoggedHours(t))), 0)
+            : target.tasks.reduce((sum, t) => sum + timeUtils.sumLoggedHours(t), 0);
+
+        const timeRatio = totalHours > 0 ? Math.min(1, elapsedHours / totalHours) : 0;
+        const workRatio = workTotal > 0 ? Math.min(1, workDone / workTotal) : 0;
+
+        // これまでの1日あたりの実績ペースで残りを進めた場合の完了日
+        const elapsedDays = timeUtils.calcCalendarDays(start, today);
+        let projectedDate = null;
+        if (workTotal > 0 && workDone >= workTotal) {
+            projectedDate = new Date(today);
+        } else if (elapsedDays > 0 && workDone > 0) {
+            const rate = workDone / elapsedDays;
+            projectedDate = new Date(today);
+            projectedDate.setDate(projectedDate.getDate() + Math.ceil((workTotal - workDone) / rate));
+        }
+
+        return {
+            start, days, totalHours, elapsedHours, hasEstimates,
+            workTotal, workDone, timeRatio, workRatio,
+            // プラスなら予定より先行、マイナスなら遅れ（時間）
+            delta: workDone - timeRatio * workTotal,
+            projectedDate
+        };
+    },
+
+    /**
+     * Spread each task's remaining allocated hours over the days from fromDate to the deadline.
+     * Each day's budget is the target's share of that day, rounded down to ROUND_STEP; the rounded-off
+     * part carries over to the next day so the plan adds up to the allocated total.
+     * Returns { generatedAt, days: { 'YYYY-MM-DD': [ { taskId, hours } ] } } (refreshPlan adds `inputs`)
+     */
+    buildDailyPlan: (target, baseDate, fromDate) => {
+        const share = planner.allocate(baseDate)[target.id];
+        const baseDateStr = timeUtils.formatDate(baseDate);
+        const remaining = {};
+        timeUtils.allocateTaskHours(share ? share.total : 0, target.tasks).forEach(t => {
+            remaining[t.id] = Math.max(0, t.hours - timeUtils.sumLoggedHours(t, baseDateStr));
+        });
+
+        const days = {};
+        const fromDateStr = timeUtils.formatDate(fromDate);
+        // 優先度で分けた端数 (4h ÷ 3 = 1.33h など) を翌日に持ち越す
+        let carry = 0;
+        const dates = Object.keys(share ? share.days : {}).sort();
+        dates.forEach((dateStr, i) => {
+            if (dateStr < fromDateStr) return;
+            const available = share.days[dateStr] + carry;
+            // 最終日は share.total と同じく四捨五入する。それ以外は切り捨て（浮動小数点の誤差で 1 単位落とさないように少し足す）
+            let budget = i === dates.length - 1
+                ? Math.round(available / ROUND_STEP) * ROUND_STEP
+                : Math.floor(available / ROUND_STEP + 1e-9) * ROUND_STEP;
+            carry = Math.max(0, available - budget);
+            const assigned = {};
+
+            // 残りが最も多いタスクから ROUND_STEP 単位で詰める
+            while (budget > 0) {
+                const taskId = Object.keys(remaining)
+                    .filter(id => remaining[id] > 0)
+                    .sort((a, b) => remaining[b] - remaining[a])[0];
+                if (!taskId) break;
+                const hours = Math.min(ROUND_STEP, remaining[taskId], budget);
+                assigned[taskId] = (assigned[taskId] || 0) + hours;
+                remaining[taskId] -= hours;
+                budget -= hours;
+            }
+
+            const entries = Object.entries(assigned).map(([taskId, hours]) => ({ taskId, hours }));
+            if (entries.length > 0) days[dateStr] = entries;
+        });
+
+        return { generatedAt: fromDateStr, days };
+    },
+
+    /**
+     * Regenerate target.plan when it was generated before today or anything it was built from
+     * has changed (or when forced), so missed days are rescheduled from today onward. Returns the missed dates.
+     */
+    refreshPlan: (target, { force = false } = {}) => {
+        const today = timeUtils.startOfDay(new Date());
+        const todayStr = timeUtils.formatDate(today);
+        const baseDateStr = localStorage.getItem(`base_date_${target.id}`) || todayStr;
+        const inputs = planner.planInputs(target, baseDateStr);
+        if (!force && target.plan && target.plan.generatedAt >= todayStr && target.plan.inputs === inputs) return [];
+
+        const baseDate = timeUtils.parseDate(baseDateStr);
+        // 作り直す前のプランと記録を比べる
+        const missedDays = planner.findMissedDays(target, todayStr);
+        target.plan = { ...planner.buildDailyPlan(target, baseDate, baseDate > today ? baseDate : today), inputs };
+        storage.save();
+        return missedDays;
+    },
+
+    /**
+     * Fingerprint of what a daily plan is built from: the base date, the schedule, and every study
+     * target's deadline, priority and task progress (the targets share each day's hours)
+     */
+    planInputs: (target, baseDateStr) => {
+        const text = JSON.stringify([
+            target.id,
+            baseDateStr,
+            SCHEDULE_FIELDS.map(f => state[f]),
+            state.targets.filter(t => t.type === 'study').map(t => {
+                const logsFromStr = localStorage.getItem(`base_date_${t.id}`) || timeUtils.formatDate(new Date());
+                return [
+                    t.id, t.targetDate, t.priority || null, logsFromStr,
+                    t.tasks.map(task => [task.id, task.weight, task.requiredHours || 0, !!task.done, timeUtils.sumLoggedHours(task, logsFromStr)])
+                ];
+            })
+        ]);
+        // FNV-1a（プランと一緒に保存するので短くする）
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * Planned days before today whose assignments were not fully logged
+     */
+    findMissedDays: (target, todayStr) => {
+        if (!target.plan) return [];
+        return Object.keys(target.plan.days).filter(dateStr => {
+            if (dateStr >= todayStr) return false;
+            return target.plan.days[dateStr].some(entry => {
+                const task = target.tasks.find(t => t.id === entry.taskId);
+                if (!task) return false;
+                const logged = (task.logs || []).filter(log => log.date === dateStr).reduce((sum, log) => sum + log.hours, 0);
+                return logged < entry.hours;
+            });
+        });
+    },
+
+    /**
+     * Hours available to a single target after sharing with the others
+     */
+    getTargetHours: (target, fromDate) => {
+        const share = planner.allocate(fromDate)[target.id];
+        return share ? share.total : 0;
+    }
+};
+
+// --- ICS (iCalendar) ---
+const icsUtils = {
+    /**
+     * Unfold continuation lines (RFC 5545 3.1) and split into content lines
+     */
+    unfold: (content) => content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/),
+
+    /**
+     * Parse "NAME;PARAM=VALUE:value" into { name, params, value }
+     */
+    parseLine: (line) => {
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            else if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon < 0) return null;
+
+        const [name, ...paramParts] = line.substring(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(p => {
+            const eq = p.indexOf('=');
+            if (eq > 0) params[p.substring(0, eq).toUpperCase()] = p.substring(eq + 1).replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+    },
+
+    unescapeText: (text) => text.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1'),
+
+    /**
+     * Parse DATE / DATE-TIME values into { date, allDay, timeZone }.
+     * UTC ("Z") and TZID times become the matching instant; floating times are local (timeZone null).
+     */
+    parseDateTime: (value, params = {}) => {
+        const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!m) return null;
+        const [, y, mo, d, h, mi, sec, utc] = m;
+        if (h === undefined || params.VALUE === 'DATE') {
+            return { date: new Date(+y, mo - 1, +d), allDay: true, timeZone: null };
+        }
+
+        const parts = [+y, mo - 1, +d, +h, +mi, +(sec || 0)];
+        if (utc) return { date: new Date(Date.UTC(...parts)), allDay: false, timeZone: 'UTC' };
+        if (params.TZID) {
+            const timeZone = params.TZID.replace(/^\//, '');
+            const date = icsUtils.zonedToDate(parts, timeZone);
+            if (date) return { date, allDay: false, timeZone };
+        }
+        return { date: new Date(...parts), allDay: false, timeZone: null };
+    },
+
+    /**
+     * Intl formatter for wall-clock parts in an IANA time zone (null if the zone is unknown)
+     */
+    zoneFormat: (timeZone) => {
+        try {
+            return new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch (e) {
+            // Windows 形式のタイムゾーン名などは浮動時刻として扱う
+            return null;
+        }
+    },
+
+    /**
+     * Wall-clock [year, monthIndex, day, hour, minute, second] of a Date in an IANA time zone
+     */
+    zonedParts: (date, timeZone, format = icsUtils.zoneFormat(timeZone)) => {
+        const p = {};
+        format.formatToParts(date).forEach(x => p[x.type] = x.value);
+        return [+p.year, p.month - 1, +p.day, +p.hour, +p.minute, +p.second];
+    },
+
+    /**
+     * Convert a wall-clock time in an IANA time zone to a Date (null if the zone is unknown)
+     */
+    zonedToDate: (parts, timeZone) => {
+        const format = icsUtils.zoneFormat(timeZone);
+        if (!format) return null;
+
+        const offsetAt = (ms) => Date.UTC(...icsUtils.zonedParts(new Date(ms), timeZone, format)) - ms;
+        const wall = Date.UTC(...parts);
+        // 2回目の補正で夏時間の切り替え前後のずれを吸収する
+        const guess = wall - offsetAt(wall);
+        return new Date(wall - offsetAt(guess));
+    },
+
+    /**
+     * Parse a DURATION value (e.g. "PT1H30M", "P2D") into milliseconds
+     */
+    parseDuration: (value) => {
+        const m = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!m) return 0;
+        const [, sign, w, d, h, mi, s] = m;
+        const seconds = ((+(w || 0) * 7) + +(d || 0)) * 86400 + +(h || 0) * 3600 + +(mi || 0) * 60 + +(s || 0);
+        return (sign === '-' ? -1 : 1) * seconds * 1000;
+    },
+
+    /**
+     * Parse an RRULE value (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH)
+     */
+    parseRRule: (value) => {
+        const dayMap = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+        const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (!val) return;
+            switch (key.toUpperCase()) {
+                case 'FREQ': rule.freq = val.toUpperCase(); break;
+                case 'INTERVAL': rule.interval = Math.max(1, parseInt(val) || 1); break;
+                case 'COUNT': rule.count = parseInt(val) || null; break;
+                case 'UNTIL': {
+                    const until = icsUtils.parseDateTime(val);
+                    if (until) {
+                        rule.until = until.date;
+                        // 日付のみの UNTIL はその日の終わりまで含む
+                        if (until.allDay) {
+                            const d = until.date;
+                            rule.until = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1, 0, 0, 0, -1);
+                        }
+                    }
+                    break;
+                }
+                case 'BYDAY':
+                    val.split(',').forEach(d => {
+                        const m = d.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                        if (m) rule.byDay.push({ n: m[1] ? parseInt(m[1]) : 0, day: dayMap[m[2]] });
+                    });
+                    break;
+                case 'BYMONTHDAY': rule.byMonthDay = val.split(',').map(Number).filter(n => n); break;
+                case 'BYMONTH': rule.byMonth = val.split(',').map(n => Number(n) - 1); break;
+            }
+        });
+        return ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? rule : null;
+    },
+
+    /**
+     * Parse VEVENTs into { uid, summary, start, end, allDay, timeZone, rrule, exdates, recurrenceId, cancelled, transparent }
+     */
+    parse: (content) => {
+        const events = [];
+        const stack = [];
+        let raw = null;
+
+        icsUtils.unfold(content).forEach(line => {
+            const prop = icsUtils.parseLine(line);
+            if (!prop) return;
+
+            if (prop.name === 'BEGIN') {
+                stack.push(prop.value.toUpperCase());
+                if (prop.value.toUpperCase() === 'VEVENT') raw = { EXDATE: [] };
+                return;
+            }
+            if (prop.name === 'END') {
+                if (stack.pop() === 'VEVENT' && raw) {
+                    const event = icsUtils.buildEvent(raw);
+                    if (event) events.push(event);
+                    raw = null;
+                }
+                return;
+            }
+            // VALARM など VEVENT 内の子コンポーネントのプロパティは無視する
+            if (!raw || stack[stack.length - 1] !== 'VEVENT') return;
+
+            if (prop.name === 'EXDATE') raw.EXDATE.push(prop);
+            else raw[prop.name] = prop;
+        });
+
+        // RECURRENCE-ID 付きの上書きイベントは、元の繰り返しの該当回を置き換える
+        events.filter(e => e.recurrenceId).forEach(override => {
+            const master = events.find(e => e.uid === override.uid && e.rrule);
+            if (master) master.exdates.push(override.recurrenceId);
+        });
+        return events;
+    },
+
+    buildEvent: (raw) => {
+        const start = raw.DTSTART && icsUtils.parseDateTime(raw.DTSTART.value, raw.DTSTART.params);
+        if (!start) return null;
+
+        let end = raw.DTEND && icsUtils.parseDateTime(raw.DTEND.value, raw.DTEND.params);
+        let endDate = end ? end.date : null;
+        if (!endDate) {
+            const duration = raw.DURATION ? icsUtils.parseDuration(raw.DURATION.value) : 0;
+            endDate = new Date(start.date);
+            if (start.allDay) {
+                endDate.setDate(endDate.getDate() + Math.max(1, Math.round(duration / 86400000)));
+            } else {
+                endDate.setTime(endDate.getTime() + duration);
+            }
+        }
+
+        const exdates = [];
+        raw.EXDATE.forEach(prop => prop.value.split(',').forEach(v => {
+            const ex = icsUtils.parseDateTime(v, prop.params);
+            if (ex) exdates.push(ex.date);
+        }));
+        const recurrenceId = raw['RECURRENCE-ID'] && icsUtils.parseDateTime(raw['RECURRENCE-ID'].value, raw['RECURRENCE-ID'].params);
+
+        return {
+            uid: raw.UID ? raw.UID.value : null,
+            summary: raw.SUMMARY ? icsUtils.unescapeText(raw.SUMMARY.value) : '',
+            start: start.date,
+            end: endDate,
+            allDay: start.allDay,
+            timeZone: start.timeZone,
+            rrule: raw.RRULE ? icsUtils.parseRRule(raw.RRULE.value) : null,
+            exdates,
+            recurrenceId: recurrenceId ? recurrenceId.date : null,
+            cancelled: !!raw.STATUS && raw.STATUS.value.toUpperCase() === 'CANCELLED',
+            // TRANSP:TRANSPARENT は「予定なし」扱い（TimeMark が書き出す予定もこれ）
+            transparent: !!raw.TRANSP && raw.TRANSP.value.toUpperCase() === 'TRANSPARENT'
+        };
+    },
+
+    /**
+     * Candidate occurrence dates (local midnight) for the k-th period of a recurrence
+     */
+    periodDates: (rule, start, k) => {
+        const monthDays = (y, m) => {
+            const daysInMonth = new Date(y, m + 1, 0).getDate();
+            if (rule.byMonthDay.length > 0) {
+                return rule.byMonthDay
+                    .map(d => d > 0 ? d : daysInMonth + d + 1)
+                    .filter(d => d >= 1 && d <= daysInMonth)
+                    .map(d => new Date(y, m, d));
+            }
+            if (rule.byDay.length > 0) {
+                const dates = [];
+                rule.byDay.forEach(({ n, day }) => {
+                    const matching = [];
+                    for (let d = 1; d <= daysInMonth; d++) {
+                        if (new Date(y, m, d).getDay() === day) matching.push(d);
+                    }
+                    if (n === 0) matching.forEach(d => dates.push(new Date(y, m, d)));
+                    else {
+                        const d = n > 0 ? matching[n - 1] : matching[matching.length + n];
+                        if (d) dates.push(new Date(y, m, d));
+                    }
+                });
+                return dates;
+            }
+            return start.getDate() <= daysInMonth ? [new Date(y, m, start.getDate())] : [];
+        };
+
+        switch (rule.freq) {
+            case 'DAILY': {
+                const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + k * rule.interval);
+                const dayOk = rule.byDay.length === 0 || rule.byDay.some(b => b.day === date.getDay());
+                const monthOk = rule.byMonth.length === 0 || rule.byMonth.includes(date.getMonth());
+                return dayOk && monthOk ? [date] : [];
+            }
+            case 'WEEKLY': {
+                // 週の開始は月曜日 (WKST=MO)
+                const monday = new Date(start.getFullYear(), start.getMonth(), start.getDate() - ((start.getDay() + 6) % 7) + k * rule.interval * 7);
+                const days = rule.byDay.length > 0 ? rule.byDay.map(b => b.day) : [start.getDay()];
+                return days.map(day => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + (day + 6) % 7));
+            }
+            case 'MONTHLY': {
+                const first = new Date(start.getFullYear(), start.getMonth() + k * rule.interval, 1);
+                if (rule.byMonth.length > 0 && !rule.byMonth.includes(first.getMonth())) return [];
+                return monthDays(first.getFullYear(), first.getMonth());
+            }
+            case 'YEARLY': {
+                const y = start.getFullYear() + k * rule.interval;
+                const months = rule.byMonth.length > 0 ? rule.byMonth : [start.getMonth()];
+                return months.flatMap(m => monthDays(y, m));
+            }
+        }
+        return [];
+    },
+
+    /**
+     * Expand an event into [{ start, end }] occurrences that overlap [windowStart, windowEnd).
+     * Recurrences follow the wall clock of DTSTART's time zone (TZID / UTC), or local time for floating and all-day events.
+     */
+    expand: (event, windowStart, windowEnd) => {
+        if (event.cancelled) return [];
+        if (!event.rrule) {
+            return event.end > windowStart && event.start < windowEnd ? [{ start: event.start, end: event.end }] : [];
+        }
+
+        const rule = event.rrule;
+        const duration = event.end - event.start;
+        // 終日予定は日数で持つ（DST の切り替え日をまたいでも日付がずれないように）
+        const spanDays = timeUtils.calcCalendarDays(event.start, event.end);
+        const excluded = new Set(event.exdates.map(d => d.getTime()));
+        const occurrences = [];
+        let count = 0;
+
+        // 日付の計算は DTSTART のタイムゾーンの壁時計で行う（端末と夏時間の切り替えがずれても同じ時刻になるように）
+        const timeZone = event.allDay ? null : event.timeZone;
+        const [y, mo, d, h, mi, sec] = timeZone
+            ? icsUtils.zonedParts(event.start, timeZone)
+            : [event.start.getFullYear(), event.start.getMonth(), event.start.getDate(),
+                event.start.getHours(), event.start.getMinutes(), event.start.getSeconds()];
+        const wallStart = new Date(y, mo, d);
+        const toInstant = (day) => {
+            const parts = [day.getFullYear(), day.getMonth(), day.getDate(), h, mi, sec];
+            return timeZone ? icsUtils.zonedToDate(parts, timeZone) : new Date(...parts);
+        };
+
+        for (let k = 0; k < 5000; k++) {
+            const candidates = icsUtils.periodDates(rule, wallStart, k)
+                .map(toInstant)
+                .sort((a, b) => a - b);
+
+            for (const occStart of candidates) {
+                if (occStart < event.start) continue;
+                if (rule.until && occStart > rule.until) return occurrences;
+                if (occStart >= windowEnd) return occurrences;
+                count++;
+                if (rule.count && count > rule.count) return occurrences;
+
+                const occEnd = event.allDay
+                    ? new Date(occStart.getFullYear(), occStart.getMonth(), occStart.getDate() + spanDays)
+                    : new Date(occStart.getTime() + duration);
+                if (!excluded.has(occStart.getTime()) && occEnd > windowStart) {
+                    occurrences.push({ start: occStart, end: occEnd });
+                }
+            }
+        }
+        return occurrences;
+    },
+
+    escapeText: (text) => String(text).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n'),
+
+    /**
+     * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a multi-byte character
+     */
+    fold: (line) => {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let current = '';
+        let bytes = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // 継続行は先頭の空白1文字を含めて75オクテット以内
+            if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+                chunks.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
+        }
+        chunks.push(current);
+        return chunks.join('\r\n ');
+    },
+
+    toDateValue: (dateStr) => dateStr.replace(/-/g, ''),
+
+    /**
+     * All-day VEVENT lines for dateStr. DTEND is exclusive, so it is the next day.
+     */
+    allDayEvent: (uid, dateStr, summary, description, stamp) => {
+        const next = timeUtils.parseDate(dateStr);
+        next.setDate(next.getDate() + 1);
+        return [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsUtils.toDateValue(dateStr)}`,
+            `DTEND;VALUE=DATE:${icsUtils.toDateValue(timeUtils.formatDate(next))}`,
+            `SUMMARY:${icsUtils.escapeText(summary)}`,
+            ...(description ? [`DESCRIPTION:${icsUtils.escapeText(description)}`] : []),
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ];
+    },
+
+    /**
+     * Build a VCALENDAR with each target's deadline, its milestones and, optionally, its daily study blocks.
+     * UIDs derive from target.id / milestone id (and the date), so re-importing updates existing events.
+     */
+    build: (targets, { includeStudyBlocks = false } = {}) => {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//TimeMark//TimeMark//JA',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:TimeMark'
+        ];
+
+        targets.forEach(target => {
+            lines.push(...icsUtils.allDayEvent(`target-${target.id}@timemark`, target.targetDate,
+                `🎯 ${target.name}`, `TimeMark の目標日（${target.type === 'study' ? '勉強・仕事' : 'イベント'}）`, stamp));
+
+            (target.milestones || []).forEach(m => {
+                lines.push(...icsUtils.allDayEvent(`milestone-${m.id}@timemark`, m.date,
+                    `🚩 ${m.name}`, `${target.name} のマイルストーン`, stamp));
+            });
+
+            if (includeStudyBlocks && target.type === 'study') {
+                planner.refreshPlan(target);
+                Object.keys(target.plan.days).sort().forEach(dateStr => {
+                    const entries = target.plan.days[dateStr];
+                    const total = entries.reduce((sum, e) => sum + e.hours, 0);
+                    const description = entries.map(e => {
+                        const task = target.tasks.find(t => t.id === e.taskId);
+                        return `${task ? task.title : '（削除済み）'}: ${e.hours}h`;
+                    }).join('\n');
+                    lines.push(...icsUtils.allDayEvent(`study-${target.id}-${icsUtils.toDateValue(dateStr)}@timemark`, dateStr,
+                        `📚 ${target.name} ${total}h`, description, stamp));
+                });
+            }
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(icsUtils.fold).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Busy time per local date: { 'YYYY-MM-DD': { allDay, hours } }.
+     * All-day events cover every day they span; timed events are split at midnight.
+     */
+    collectBusyDays: (events, windowStart, windowEnd) => {
+        const busy = {};
+        const entry = (dateStr) => busy[dateStr] || (busy[dateStr] = { allDay: false, hours: 0 });
+
+        events.filter(event => !event.transparent).forEach(event => {
+            icsUtils.expand(event, windowStart, windowEnd).forEach(({ start, end }) => {
+                if (event.allDay) {
+                    const current = timeUtils.startOfDay(start);
+                    do {
+                        entry(timeUtils.formatDate(current)).allDay = true;
+                        current.setDate(current.getDate() + 1);
+                    } while (current < end);
+                    return;
+                }
+
+                let segStart = new Date(start);
+                while (segStart < end) {
+                    const nextDay = timeUtils.startOfDay(segStart);
+                    nextDay.setDate(nextDay.getDate() + 1);
+                    const segEnd = end < nextDay ? end : nextDay;
+                    entry(timeUtils.formatDate(segStart)).hours += (segEnd - segStart) / 3600000;
+                    segStart = nextDay;
+                }
+            });
+        });
+        return busy;
+    }
+};
+
+// --- View Rendering ---
+let detailTicker = null;
+
+const views = {
+    list: {
+        init: () => {
+            console.log('Initializing List View');
+            renderList();
+        },
+        destroy: () => { }
+    },
+    detail: {
+        init: (id) => {
+            const target = state.targets.find(t => t.id === id);
+            if (!target) {
+                // 履歴に残すと「戻る」でまたここへ来てしまうので置き換える
+                switchView('list', null, { replace: true });
+                return;
+            }
+            state.selectedTargetId = id;
+            console.log('Initializing Detail View for', target.name);
+            renderDetail(target);
+
+            // 時間帯を設定している場合、今日の残り時間は時刻とともに減るので定期的に更新する
+            if (target.type === 'study') {
+                detailTicker = setInterval(() => updateStudyHero(target), 60 * 1000);
+            }
+        },
+        destroy: () => {
+            clearInterval(detailTicker);
+            detailTicker = null;
+        }
+    },
+    road: {
+        init: () => {
+            console.log('Initializing Road View');
+            renderRoad();
+        },
+        destroy: () => { }
+    },
+    plan: {
+        init: (id) => {
+            const target = state.targets.find(t => t.id === id);
+            if (!target || target.type !== 'study') {
+                switchView('list', null, { replace: true });
+                return;
+            }
+            state.selectedTargetId = id;
+            console.log('Initializing Plan View for', target.name);
+            renderPlan(target);
+        },
+        destroy: () => { }
+    },
+    stats: {
+        init: () => {
+            console.log('Initializing Stats View');
+            renderStats();
+        },
+        destroy: () => { }
+    },
+    calendar: {
+        init: () => {
+            console.log('Initializing Calendar View');
+            renderCalendar();
+        },
+        destroy: () => { }
+    },
+    settings: {
+        init: () => {
+            console.log('Initializing Settings View');
+            renderSettings();
+        },
+        destroy: () => { }
+    }
+};
+
+function renderSettings() {
+    const container = document.getElementById('settings-view');
+    if (!container) return;
+
+    const dayLabels = {
+        mon: '月曜日', tue: '火曜日', wed: '水曜日', thu: '木曜日', fri: '金曜日',
+        sat: '土曜日', sun: '日曜日', holiday: '祝日'
+    };
+
+    const slotLabels = { weekday: '平日', weekend: '土日', holiday: '祝日' };
+
+    // 期間設定の警告（開始日 > 終了日、期間の重なり）
+    const periodWarnings = [];
+    state.timePeriods.forEach((p, i) => {
+        if (p.start > p.end) {
+            periodWarnings.push(`「${p.name}」は開始日が終了日より後になっています`);
+        }
+        state.timePeriods.slice(i + 1).forEach(other => {
+            if (p.start <= other.end && other.start <= p.end) {
+                periodWarnings.push(`「${p.name}」と「${other.name}」の期間が重なっています（「${p.name}」が優先）`);
+            }
+        });
+    });
 
     container.innerHTML = `
         <h1 class="glow-text">Settings</h1>
+
+        ${sandbox.active ? `
+            <section class="settings-section sandbox-panel">
+                <div class="task-section-header">
+                    <h2>🧪 シミュレーション中</h2>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="btn btn-ghost btn-sm" id="sandbox-discard-btn">破棄</button>
+                        <button class="btn btn-primary btn-sm" id="sandbox-apply-btn">適用</button>
+                    </div>
+                </div>
+                <p class="settings-note">以下の稼働時間・祝日・優先度の設定を変更しても、「適用」するまで保存されません。</p>
+                <div id="sandbox-diff">${renderSandboxDiff()}</div>
+            </section>
+        ` : `
+            <button class="btn btn-ghost" id="sandbox-start-btn" style="width: 100%; margin-bottom: 16px;">🧪 変更をシミュレーション（保存前に比較）</button>
+        `}
         
         <section class="settings-section">
             <h2>週間稼働時間（デフォルト）</h2>
@@ -273,20 +1729,130 @@ function renderSettings() {
             </div>
         </section>
 
+        <section class="settings-section">
+            <div class="task-section-header">
+                <h2>祝日カレンダー</h2>
+                <button class="btn btn-ghost btn-sm" id="holiday-import-btn">📥 読み込み</button>
+                <input type="file" id="holiday-file-input" style="display: none;" accept=".csv,.ics">
+            </div>
+            <p class="settings-note">有効なカレンダーのどれかに含まれる日は、曜日設定の「祝日」の時間で計算します。学校・会社の休業日や他の国の祝日を CSV（日付,名前）か ICS で追加できます。</p>
+            <div class="exception-list">
+                <div class="exception-item">
+                    <label class="exception-info" style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                        <input type="checkbox" id="use-jp-holidays" ${state.useJapaneseHolidays ? 'checked' : ''}>
+                        <span style="display: flex; flex-direction: column;">
+                            <span style="font-weight: bold; font-size: 14px;">日本の祝日</span>
+                            <span style="font-size: 11px; color: var(--text-sub)">
+                                内閣府 CSV: ${holidayUtils.formatYearRanges(state.holidaySources.csv) || '読み込めませんでした'}
+                                <br>自動計算: ${holidayUtils.formatYearRanges(state.holidaySources.generated) || 'なし'}
+                            </span>
+                        </span>
+                    </label>
+                </div>
+                ${state.holidayCalendars.map(c => `
+                    <div class="exception-item">
+                        <label class="exception-info" style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                            <input type="checkbox" class="toggle-holiday-calendar" data-id="${c.id}" ${c.enabled ? 'checked' : ''}>
+                            <span style="display: flex; flex-direction: column;">
+                                <span style="font-weight: bold; font-size: 14px;">${escapeHtml(c.name)}</span>
+                                <span style="font-size: 11px; color: var(--text-sub)">${Object.keys(c.dates).length}日</span>
+                            </span>
+                        </label>
+                        <button class="btn btn-ghost btn-mini delete-holiday-calendar" data-id="${c.id}" style="color: var(--accent-red)">削除</button>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+
+        <section class="settings-section">
+            <h2>時間帯（任意）</h2>
+            <p class="settings-note">作業できる時間帯を設定すると、当日の残り時間が時刻に合わせて減っていきます。</p>
+            <div class="exception-list">
+                ${Object.entries(slotLabels).map(([type, label]) => {
+                    const slot = state.timeSlots[type];
+                    return `
+                        <div class="exception-item time-slot-row">
+                            <span style="font-size: 14px;">${label}</span>
+                            <div style="display: flex; align-items: center; gap: 4px;">
+                                <input type="time" class="slot-input" data-type="${type}" data-edge="start" value="${slot ? slot.start : ''}">
+                                〜
+                                <input type="time" class="slot-input" data-type="${type}" data-edge="end" value="${slot ? slot.end : ''}">
+                                <button class="btn btn-ghost btn-mini clear-slot" data-type="${type}" ${slot ? '' : 'disabled'}>解除</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </section>
+
+        <section class="settings-section">
+            <h2>複数ターゲットの時間配分</h2>
+            <p class="settings-note">同じ日に複数の勉強ターゲットがある場合、その日の稼働時間を分け合います。「締切が早い順」は必要時間の見積もりを締切順に確保し、残りを優先度で分けます。</p>
+            <div class="form-group">
+                <select id="allocation-mode-select">
+                    <option value="priority" ${state.allocationMode === 'priority' ? 'selected' : ''}>優先度で按分</option>
+                    <option value="deadline" ${state.allocationMode === 'deadline' ? 'selected' : ''}>締切が早い順に充当</option>
+                </select>
+            </div>
+            <div class="exception-list">
+                ${state.targets.filter(t => t.type === 'study').map(t => `
+                    <div class="exception-item">
+                        <div class="exception-info">
+                            <span style="font-weight: bold; font-size: 14px; color: ${t.color}">${t.name}</span>
+                            <span style="font-size: 11px; color: var(--text-sub)">${t.targetDate}</span>
+                        </div>
+                        <label style="font-size: 11px; color: var(--text-sub)">優先度
+                            <input type="number" class="priority-input" data-id="${t.id}" value="${planner.getPriority(t)}" min="1" max="10" step="1"
+                                   style="width: 45px; text-align: center; background: transparent; border: 1px solid var(--border-color); color: white; border-radius: 4px;">
+                        </label>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+
         <section class="settings-section">
             <div class="task-section-header">
                 <h2>期間指定（長期休暇など）</h2>
                 <button class="btn btn-primary btn-sm" id="add-period-btn">+ 期間を追加</button>
             </div>
+            ${state.timePeriods.length > 1 ? '<p class="settings-note">期間が重なる日は、一覧で上にある期間が優先されます。</p>' : ''}
+            ${periodWarnings.map(w => `<p class="period-warning">⚠️ ${w}</p>`).join('')}
             <div class="exception-list" id="period-list-container">
                 ${state.timePeriods.length === 0 ? '<p class="empty-state" style="padding: 10px;">期間設定がありません</p>' : ''}
-                ${state.timePeriods.map(p => `
+                ${state.timePeriods.map((p, i) => `
                     <div class="exception-item">
-                        <div class="exception-info" style="display: flex; flex-direction: column;">
+                        <div class="exception-info edit-period" data-id="${p.id}" style="display: flex; flex-direction: column; cursor: pointer;">
                             <span style="font-weight: bold; font-size: 14px;">${p.name}</span>
                             <span style="font-size: 11px; color: var(--text-sub)">${p.start} 〜 ${p.end}</span>
                         </div>
-                        <button class="btn btn-ghost btn-mini delete-period" data-id="${p.id}" style="color: var(--accent-red)">削除</button>
+                        <div style="display: flex; gap: 4px;">
+                            <button class="btn btn-ghost btn-mini move-period" data-id="${p.id}" data-dir="-1" ${i === 0 ? 'disabled' : ''} aria-label="優先度を上げる">↑</button>
+                            <button class="btn btn-ghost btn-mini move-period" data-id="${p.id}" data-dir="1" ${i === state.timePeriods.length - 1 ? 'disabled' : ''} aria-label="優先度を下げる">↓</button>
+                            <button class="btn btn-ghost btn-mini delete-period" data-id="${p.id}" style="color: var(--accent-red)">削除</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+
+        <section class="settings-section">
+            <div class="task-section-header">
+                <h2>繰り返しルール</h2>
+                <button class="btn btn-primary btn-sm" id="add-rule-btn">+ ルールを追加</button>
+            </div>
+            <p class="settings-note">「第2・第4土曜は3時間」のような繰り返しの例外です。例外日の次に優先され、期間指定・曜日設定より優先されます（複数一致した場合は上のルール）。</p>
+            <div class="exception-list" id="rule-list-container">
+                ${state.hourRules.length === 0 ? '<p class="empty-state" style="padding: 10px;">ルールがありません</p>' : ''}
+                ${state.hourRules.map(r => `
+                    <div class="exception-item">
+                        <div class="exception-info edit-rule" data-id="${r.id}" style="display: flex; flex-direction: column; cursor: pointer;">
+                            <span style="font-weight: bold; font-size: 14px;">${r.name || timeUtils.describeHourRule(r)}</span>
+                            <span style="font-size: 11px; color: var(--text-sub)">
+                                ${r.name ? `${timeUtils.describeHourRule(r)} ・ ` : ''}${r.hours}時間${r.skipHolidays ? '（祝日除く）' : ''}
+                                ${r.start || r.end ? `<br>${r.start || ''} 〜 ${r.end || ''}` : ''}
+                            </span>
+                        </div>
+                        <button class="btn btn-ghost btn-mini delete-rule" data-id="${r.id}" style="color: var(--accent-red)">削除</button>
                     </div>
                 `).join('')}
             </div>
@@ -313,9 +1879,119 @@ function renderSettings() {
                     </div>
                 `).join('')}
             </div>
+            ${state.busyCalendars.length === 0 ? '' : `
+                <h3 style="font-size: 14px; margin-top: 16px;">取り込んだ予定（.ics）</h3>
+                <p class="settings-note">各日の時間から差し引きます（同じ日に複数の予定があれば合計）。例外日を設定した日は例外日の時間を使います。同じ名前のファイルを取り込み直すと置き換わります。</p>
+                <div class="exception-list">
+                    ${state.busyCalendars.map(c => `
+                        <div class="exception-item">
+                            <div class="exception-info" style="display: flex; flex-direction: column;">
+                                <span style="font-weight: bold; font-size: 14px;">${escapeHtml(c.name)}</span>
+                                <span style="font-size: 11px; color: var(--text-sub)">${Object.keys(c.dates).length}日</span>
+                            </div>
+                            <button class="btn btn-ghost btn-mini delete-busy-calendar" data-id="${c.id}" style="color: var(--accent-red)">削除</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        </section>
+
+        <section class="settings-section">
+            <div class="task-section-header">
+                <h2>リマインダー</h2>
+                <button class="btn btn-ghost btn-sm" id="test-notification-btn">🔔 テスト通知</button>
+            </div>
+            ${notifier.isSupported() ? '' : '<p class="period-warning">⚠️ このブラウザは通知に対応していません</p>'}
+            <label class="settings-note" style="display: flex; align-items: center; gap: 6px;">
+                <input type="checkbox" id="notifications-enabled" ${state.notifications.enabled ? 'checked' : ''}> 通知を受け取る
+            </label>
+            <div class="exception-item time-slot-row" style="margin-bottom: 8px;">
+                <span style="font-size: 14px;">通知しない時間帯</span>
+                <div style="display: flex; align-items: center; gap: 4px;">
+                    <input type="time" id="quiet-start" value="${state.notifications.quietStart}">
+                    〜
+                    <input type="time" id="quiet-end" value="${state.notifications.quietEnd}">
+                </div>
+            </div>
+            <p class="settings-note">目標日の N 日前（${DEADLINE_REMINDER_TIME}以降）と、勉強ターゲットの毎日の時刻に通知します。アプリを開いている間に確認し、通知しない時間帯の分は明けてからまとめて送ります。</p>
+            <div class="exception-list">
+                ${state.targets.map(t => `
+                    <div class="exception-item">
+                        <div class="exception-info">
+                            <span style="font-weight: bold; font-size: 14px; color: ${t.color}">${t.name}</span>
+                            <span style="font-size: 11px; color: var(--text-sub)">${t.targetDate}</span>
+                        </div>
+                        <div style="display: flex; align-items: center; gap: 8px; font-size: 11px; color: var(--text-sub);">
+                            <label>
+                                <input type="number" class="reminder-days-input" data-id="${t.id}" value="${(t.reminders && t.reminders.daysBefore) || 0}" min="0" max="365" step="1"
+                                       style="width: 45px; text-align: center; background: transparent; border: 1px solid var(--border-color); color: white; border-radius: 4px;">
+                                日前
+                            </label>
+                            ${t.type === 'study' ? `
+                                <label class="time-slot-row">毎日
+                                    <input type="time" class="reminder-time-input" data-id="${t.id}" value="${(t.reminders && t.reminders.dailyTime) || ''}">
+                                </label>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+
+        <section class="settings-section">
+            <div class="task-section-header">
+                <h2>カレンダーへ書き出し</h2>
+                <button class="btn btn-primary btn-sm" id="ics-export-btn">📅 .ics を書き出し</button>
+            </div>
+            <label class="settings-note" style="display: flex; align-items: center; gap: 6px;">
+                <input type="checkbox" id="ics-include-study"> 日別の学習ブロック（日別プラン）も含める
+            </label>
+            <p class="settings-note">各ターゲットの目標日を終日予定として書き出します。再度取り込むと既存の予定が更新されます。</p>
+        </section>
+
+        <section class="settings-section">
+            <div class="task-section-header">
+                <h2>バックアップ</h2>
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn btn-ghost btn-sm" id="backup-import-btn">📥 復元</button>
+                    <button class="btn btn-primary btn-sm" id="backup-export-btn">📤 書き出し</button>
+                </div>
+                <input type="file" id="backup-file-input" style="display: none;" accept=".json,application/json">
+            </div>
+            <p class="settings-note">ターゲット・稼働時間・期間・繰り返しルール・例外日・基準日をまとめてJSONファイルに保存します。</p>
         </section>
     `;
 
+    if (sandbox.active) {
+        container.querySelector('#sandbox-apply-btn').onclick = () => {
+            sandbox.apply();
+            hideBanner();
+            renderSettings();
+        };
+        container.querySelector('#sandbox-discard-btn').onclick = () => {
+            sandbox.discard();
+            hideBanner();
+            renderSettings();
+        };
+        // 入力や一括適用のたびに比較を更新する（各ハンドラの後にバブリングで届く）
+        container.onchange = container.onclick = () => {
+            if (!sandbox.active) return;
+            const diff = container.querySelector('#sandbox-diff');
+            if (diff) diff.innerHTML = renderSandboxDiff();
+        };
+    } else {
+        container.onchange = container.onclick = null;
+        container.querySelector('#sandbox-start-btn').onclick = () => {
+            sandbox.start();
+            // 他の画面も変更後の設定で表示されるので、保存されていないことを示しておく
+            showBanner('シミュレーション中: 稼働時間の変更はまだ保存されていません', {
+                label: '設定へ',
+                onClick: () => switchView('settings')
+            });
+            renderSettings();
+        };
+    }
+
     // Event listeners for weekly hours
     container.querySelectorAll('.hour-input').forEach(input => {
         input.onchange = (e) => {
@@ -325,6 +2001,94 @@ function renderSettings() {
         };
     });
 
+    container.querySelector('#use-jp-holidays').onchange = (e) => {
+        state.useJapaneseHolidays = e.target.checked;
+        storage.save();
+    };
+
+    container.querySelectorAll('.toggle-holiday-calendar').forEach(input => {
+        input.onchange = () => {
+            const calendar = state.holidayCalendars.find(c => c.id === input.dataset.id);
+            if (calendar) {
+                calendar.enabled = input.checked;
+                storage.save();
+            }
+        };
+    });
+
+    container.querySelectorAll('.delete-holiday-calendar').forEach(btn => {
+        btn.onclick = () => {
+            state.holidayCalendars = state.holidayCalendars.filter(c => c.id !== btn.dataset.id);
+            storage.save();
+            renderSettings();
+        };
+    });
+
+    container.querySelector('#holiday-import-btn').onclick = () => {
+        container.querySelector('#holiday-file-input').click();
+    };
+
+    container.querySelector('#holiday-file-input').onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const text = holidayUtils.decode(event.target.result);
+            const dates = file.name.toLowerCase().endsWith('.ics') ? holidayUtils.parseICS(text) : holidayUtils.parseCSV(text);
+            if (Object.keys(dates).length === 0) {
+                alert('日付を読み取れませんでした');
+                return;
+            }
+            state.holidayCalendars.push({
+                id: crypto.randomUUID(),
+                name: file.name.replace(/\.(csv|ics)$/i, ''),
+                enabled: true,
+                dates
+            });
+            storage.save();
+            renderSettings();
+        };
+        reader.readAsArrayBuffer(file);
+        e.target.value = '';
+    };
+
+    // 開始・終了の両方が入力されたら時間帯として保存する
+    container.querySelectorAll('.slot-input').forEach(input => {
+        input.onchange = () => {
+            const type = input.dataset.type;
+            const start = container.querySelector(`.slot-input[data-type="${type}"][data-edge="start"]`).value;
+            const end = container.querySelector(`.slot-input[data-type="${type}"][data-edge="end"]`).value;
+            if (!start || !end) return;
+            state.timeSlots[type] = { start, end };
+            storage.save();
+            renderSettings();
+        };
+    });
+
+    container.querySelectorAll('.clear-slot').forEach(btn => {
+        btn.onclick = () => {
+            state.timeSlots[btn.dataset.type] = null;
+            storage.save();
+            renderSettings();
+        };
+    });
+
+    container.querySelector('#allocation-mode-select').onchange = (e) => {
+        state.allocationMode = e.target.value;
+        storage.save();
+    };
+
+    container.querySelectorAll('.priority-input').forEach(input => {
+        input.onchange = (e) => {
+            const target = state.targets.find(t => t.id === e.target.dataset.id);
+            if (target) {
+                target.priority = Math.max(1, parseInt(e.target.value) || 1);
+                storage.save();
+            }
+        };
+    });
+
     container.querySelector('#weekday-apply-btn').onclick = () => {
         const val = parseFloat(container.querySelector('#weekday-bulk-input').value) || 0;
         ['mon', 'tue', 'wed', 'thu', 'fri'].forEach(day => {
@@ -357,7 +2121,7 @@ function renderSettings() {
         reader.onload = (event) => {
             const content = event.target.result;
             if (file.name.endsWith('.ics')) {
-                parseICS(content);
+                parseICS(content, file.name);
             } else if (file.name.endsWith('.csv')) {
                 parseCSV(content);
             }
@@ -368,10 +2132,139 @@ function renderSettings() {
         reader.readAsText(file);
     };
 
+    container.querySelector('#notifications-enabled').onchange = async (e) => {
+        if (e.target.checked && !(await notifier.requestPermission())) {
+            e.target.checked = false;
+            alert('通知が許可されていません。ブラウザの設定から許可してください');
+            return;
+        }
+        state.notifications.enabled = e.target.checked;
+        storage.save();
+        notifier.check();
+    };
+
+    ['quiet-start', 'quiet-end'].forEach(id => {
+        container.querySelector(`#${id}`).onchange = () => {
+            state.notifications.quietStart = container.querySelector('#quiet-start').value;
+            state.notifications.quietEnd = container.querySelector('#quiet-end').value;
+            storage.save();
+        };
+    });
+
+    const updateReminders = (id, changes) => {
+        const target = state.targets.find(t => t.id === id);
+        if (!target) return;
+        target.reminders = { daysBefore: 0, dailyTime: '', ...target.reminders, ...changes };
+        storage.save();
+    };
+
+    container.querySelectorAll('.reminder-days-input').forEach(input => {
+        input.onchange = () => updateReminders(input.dataset.id, { daysBefore: Math.max(0, parseInt(input.value) || 0) });
+    });
+
+    container.querySelectorAll('.reminder-time-input').forEach(input => {
+        input.onchange = () => updateReminders(input.dataset.id, { dailyTime: input.value });
+    });
+
+    // 静かな時間帯・オフ設定に関係なく、今すぐ1件表示する
+    container.querySelector('#test-notification-btn').onclick = async () => {
+        if (!(await notifier.requestPermission())) {
+            alert('通知が許可されていません。ブラウザの設定から許可してください');
+            return;
+        }
+        notifier.show('TimeMark テスト通知', '通知は正しく届いています');
+    };
+
+    container.querySelector('#ics-export-btn').onclick = () => {
+        if (state.targets.length === 0) {
+            alert('書き出すターゲットがありません');
+            return;
+        }
+        const includeStudyBlocks = container.querySelector('#ics-include-study').checked;
+        const content = icsUtils.build(state.targets, { includeStudyBlocks });
+        downloadFile(`timemark-${timeUtils.formatDate(new Date())}.ics`, content, 'text/calendar');
+    };
+
+    container.querySelector('#backup-export-btn').onclick = () => backup.export();
+
+    container.querySelector('#backup-import-btn').onclick = () => {
+        container.querySelector('#backup-file-input').click();
+    };
+
+    container.querySelector('#backup-file-input').onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let data;
+            try {
+                data = backup.parse(event.target.result);
+            } catch (err) {
+                alert(`復元できませんでした: ${err.message}`);
+                return;
+            }
+            showRestoreModal(data);
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    function showRestoreModal(data) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title">バックアップの復元</h2>
+                <p style="color: var(--text-sub); font-size: 14px;">
+                    ターゲット ${data.targets.length} 件 / 期間 ${(data.timePeriods || []).length} 件 / 例外日 ${Object.keys(data.customDates || {}).length} 件
+                </p>
+                <p style="font-size: 13px; margin-top: 12px;">
+                    「統合」は現在のデータに追加します（同じターゲットは上書き）。<br>
+                    「置き換え」は現在のデータをすべて削除してから復元します。
+                </p>
+                <div class="modal-actions">
+                    <button class="btn btn-ghost" id="restore-cancel">キャンセル</button>
+                    <button class="btn btn-ghost" id="restore-merge">統合</button>
+                    <button class="btn btn-primary" id="restore-replace">置き換え</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const restore = (mode) => {
+            backup.restore(data, mode);
+            modal.remove();
+            renderSettings();
+            alert('復元が完了しました');
+        };
+        modal.querySelector('#restore-cancel').onclick = () => modal.remove();
+        modal.querySelector('#restore-merge').onclick = () => restore('merge');
+        modal.querySelector('#restore-replace').onclick = () => {
+            if (confirm('現在のデータはすべて置き換えられます。よろしいですか？')) restore('replace');
+        };
+    }
+
     container.querySelector('#add-period-btn').onclick = () => {
-        showAddPeriodModal();
+        showPeriodModal();
     };
 
+    container.querySelectorAll('.edit-period').forEach(el => {
+        el.onclick = () => showPeriodModal(state.timePeriods.find(p => p.id === el.dataset.id));
+    });
+
+    container.querySelectorAll('.move-period').forEach(btn => {
+        btn.onclick = () => {
+            const index = state.timePeriods.findIndex(p => p.id === btn.dataset.id);
+            const to = index + parseInt(btn.dataset.dir);
+            if (index < 0 || to < 0 || to >= state.timePeriods.length) return;
+            const [moved] = state.timePeriods.splice(index, 1);
+            state.timePeriods.splice(to, 0, moved);
+            storage.save();
+            renderSettings();
+        };
+    });
+
     container.querySelectorAll('.delete-period').forEach(btn => {
         btn.onclick = (e) => {
             const id = e.target.dataset.id;
@@ -381,26 +2274,135 @@ function renderSettings() {
         };
     });
 
-    function showAddPeriodModal() {
+    container.querySelector('#add-rule-btn').onclick = () => showHourRuleModal();
+
+    container.querySelectorAll('.edit-rule').forEach(el => {
+        el.onclick = () => showHourRuleModal(state.hourRules.find(r => r.id === el.dataset.id));
+    });
+
+    container.querySelectorAll('.delete-rule').forEach(btn => {
+        btn.onclick = (e) => {
+            const id = e.target.dataset.id;
+            state.hourRules = state.hourRules.filter(r => r.id !== id);
+            storage.save();
+            renderSettings();
+        };
+    });
+
+    function showHourRuleModal(rule = null) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        const dayMap = { mon: '月', tue: '火', wed: '水', thu: '木', fri: '金', sat: '土', sun: '日' };
+        const weekOptions = [[1, '第1'], [2, '第2'], [3, '第3'], [4, '第4'], [-1, '最終']];
+        const days = rule ? rule.days : ['sat'];
+        const weeks = rule ? rule.weeks : [];
+
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 450px;">
+                <h2 class="modal-title">${rule ? '繰り返しルールの編集' : '繰り返しルールの追加'}</h2>
+                <div class="form-group">
+                    <label>名前（任意）</label>
+                    <input type="text" id="rule-name" placeholder="例: 隔週土曜の部活" value="${rule ? rule.name : ''}">
+                </div>
+                <div class="form-group">
+                    <label>曜日</label>
+                    <div class="rule-chip-row">
+                        ${Object.keys(dayMap).map(day => `
+                            <label class="rule-chip"><input type="checkbox" class="rule-day" value="${day}" ${days.includes(day) ? 'checked' : ''}>${dayMap[day]}</label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>週（未選択なら毎週）</label>
+                    <div class="rule-chip-row">
+                        ${weekOptions.map(([w, label]) => `
+                            <label class="rule-chip"><input type="checkbox" class="rule-week" value="${w}" ${weeks.includes(w) ? 'checked' : ''}>${label}</label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    <div class="form-group" style="flex: 1;">
+                        <label>開始日（任意）</label>
+                        <input type="date" id="rule-start" value="${rule ? rule.start || '' : ''}">
+                    </div>
+                    <div class="form-group" style="flex: 1;">
+                        <label>終了日（任意）</label>
+                        <input type="date" id="rule-end" value="${rule ? rule.end || '' : ''}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>稼働時間</label>
+                    <input type="number" id="rule-hours" value="${rule ? rule.hours : 0}" min="0" max="24" step="${ROUND_STEP}">
+                </div>
+                <label class="settings-note" style="display: flex; align-items: center; gap: 6px;">
+                    <input type="checkbox" id="rule-skip-holidays" ${!rule || rule.skipHolidays ? 'checked' : ''}> 祝日には適用しない
+                </label>
+                <div class="modal-actions" style="margin-top: 20px;">
+                    <button class="btn btn-ghost" id="rule-cancel">キャンセル</button>
+                    <button class="btn btn-primary" id="rule-save">保存</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#rule-cancel').onclick = () => modal.remove();
+        modal.querySelector('#rule-save').onclick = () => {
+            const data = {
+                name: modal.querySelector('#rule-name').value.trim(),
+                days: [...modal.querySelectorAll('.rule-day:checked')].map(el => el.value),
+                weeks: [...modal.querySelectorAll('.rule-week:checked')].map(el => parseInt(el.value)),
+                start: modal.querySelector('#rule-start').value,
+                end: modal.querySelector('#rule-end').value,
+                hours: Math.max(0, parseFloat(modal.querySelector('#rule-hours').value) || 0),
+                skipHolidays: modal.querySelector('#rule-skip-holidays').checked
+            };
+
+            if (data.days.length === 0) {
+                alert('曜日を1つ以上選択してください');
+                return;
+            }
+            if (data.start && data.end && data.start > data.end) {
+                alert('終了日は開始日以降にしてください');
+                return;
+            }
+
+            if (rule) {
+                Object.assign(rule, data);
+            } else {
+                state.hourRules.push({ id: crypto.randomUUID(), ...data });
+            }
+            storage.save();
+            modal.remove();
+            renderSettings();
+        };
+    }
+
+    function showPeriodModal(period = null) {
         const modal = document.createElement('div');
         modal.className = 'modal-overlay';
-        const dayMap = { mon: '月', tue: '火', wed: '水', thu: '木', fri: '金', sat: '土', sun: '日' };
+        const dayMap = { mon: '月', tue: '火', wed: '水', thu: '木', fri: '金', sat: '土', sun: '日', holiday: '祝' };
+        const todayStr = timeUtils.formatDate(new Date());
+        const hoursFor = (day) => {
+            if (!period) return 8;
+            // 祝日の時間がない古いデータは日曜日の設定を表示する
+            return period.weeklyHours[day] !== undefined ? period.weeklyHours[day] : period.weeklyHours.sun;
+        };
 
         modal.innerHTML = `
             <div class="modal-content" style="max-width: 450px;">
-                <h2 class="modal-title">期間の追加設定</h2>
+                <h2 class="modal-title">${period ? '期間の編集' : '期間の追加設定'}</h2>
                 <div class="form-group">
                     <label>名前</label>
-                    <input type="text" id="per-name" placeholder="例: 夏休み">
+                    <input type="text" id="per-name" placeholder="例: 夏休み" value="${period ? period.name : ''}">
                 </div>
                 <div style="display: flex; gap: 8px;">
                     <div class="form-group" style="flex: 1;">
                         <label>開始日</label>
-                        <input type="date" id="per-start" value="${new Date().toISOString().split('T')[0]}">
+                        <input type="date" id="per-start" value="${period ? period.start : todayStr}">
                     </div>
                     <div class="form-group" style="flex: 1;">
                         <label>終了日</label>
-                        <input type="date" id="per-end" value="${new Date().toISOString().split('T')[0]}">
+                        <input type="date" id="per-end" value="${period ? period.end : todayStr}">
                     </div>
                 </div>
                 <h3>期間中の曜日別時間</h3>
@@ -420,11 +2422,12 @@ function renderSettings() {
                     ${Object.keys(dayMap).map(day => `
                         <div style="flex: 1; display: flex; flex-direction: column; align-items: center;">
                             <label style="font-size: 11px; margin-bottom: 4px;">${dayMap[day]}</label>
-                            <input type="number" class="per-hour-input" data-day="${day}" value="8" min="0" max="24" step="0.5" 
+                            <input type="number" class="per-hour-input" data-day="${day}" value="${hoursFor(day)}" min="0" max="24" step="0.5" 
                                    style="width: 100%; text-align: center; padding: 4px 2px; font-size: 13px; min-height: 32px;">
                         </div>
                     `).join('')}
                 </div>
+                <p class="period-warning hidden" id="per-overlap-warning"></p>
                 <div class="modal-actions" style="margin-top: 20px;">
                     <button class="btn btn-ghost" id="per-cancel">キャンセル</button>
                     <button class="btn btn-primary" id="per-save">保存</button>
@@ -433,6 +2436,21 @@ function renderSettings() {
         `;
         document.body.appendChild(modal);
 
+        // 入力中の期間と重なる他の期間を表示する
+        const updateOverlapWarning = () => {
+            const start = modal.querySelector('#per-start').value;
+            const end = modal.querySelector('#per-end').value;
+            const warning = modal.querySelector('#per-overlap-warning');
+            const overlaps = state.timePeriods.filter(p => p !== period && start && end && start <= p.end && p.start <= end);
+            warning.textContent = start && end && start > end
+                ? '⚠️ 開始日が終了日より後になっています'
+                : overlaps.length > 0 ? `⚠️ ${overlaps.map(p => `「${p.name}」`).join('')}と期間が重なっています` : '';
+            warning.classList.toggle('hidden', !warning.textContent);
+        };
+        modal.querySelector('#per-start').onchange = updateOverlapWarning;
+        modal.querySelector('#per-end').onchange = updateOverlapWarning;
+        updateOverlapWarning();
+
         modal.querySelector('#per-weekday-apply').onclick = () => {
             const val = parseFloat(modal.querySelector('#per-weekday-bulk').value) || 0;
             ['mon', 'tue', 'wed', 'thu', 'fri'].forEach(day => {
@@ -443,7 +2461,7 @@ function renderSettings() {
 
         modal.querySelector('#per-weekend-apply').onclick = () => {
             const val = parseFloat(modal.querySelector('#per-weekend-bulk').value) || 0;
-            ['sat', 'sun'].forEach(day => {
+            ['sat', 'sun', 'holiday'].forEach(day => {
                 const input = modal.querySelector(`.per-hour-input[data-day="${day}"]`);
                 if (input) input.value = val;
             });
@@ -458,37 +2476,45 @@ function renderSettings() {
             modal.querySelectorAll('.per-hour-input').forEach(input => {
                 weeklyHours[input.dataset.day] = parseFloat(input.value) || 0;
             });
-            weeklyHours.holiday = weeklyHours.sun;
 
-            if (name && start && end) {
+            if (!name || !start || !end) {
+                alert('名前と期間を入力してください');
+                return;
+            }
+            if (start > end) {
+                alert('終了日は開始日以降にしてください');
+                return;
+            }
+
+            if (period) {
+                Object.assign(period, { name, start, end, weeklyHours });
+            } else {
                 // Use robust ID generation
                 const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
                 state.timePeriods.push({ id, name, start, end, weeklyHours });
-                storage.save();
-                modal.remove();
-                renderSettings();
-            } else {
-                alert('名前と期間を入力してください');
             }
+            storage.save();
+            modal.remove();
+            renderSettings();
         };
     }
-    function parseICS(content) {
-        const lines = content.split(/\r?\n/);
-        let count = 0;
-        lines.forEach(line => {
-            if (line.startsWith('DTSTART')) {
-                const match = line.match(/:(\d{8})/);
-                if (match) {
-                    const y = match[1].substring(0, 4);
-                    const m = match[1].substring(4, 6);
-                    const d = match[1].substring(6, 8);
-                    const dateStr = `${y}-${m}-${d}`;
-                    state.customDates[dateStr] = 0;
-                    count++;
-                }
-            }
+    function parseICS(content, fileName) {
+        // 繰り返し予定は今日から「1年後か最も遠い目標日」までを展開する
+        const today = timeUtils.startOfDay(new Date());
+        const horizon = new Date(today);
+        horizon.setFullYear(horizon.getFullYear() + 1);
+        state.targets.forEach(t => {
+            const targetDate = timeUtils.startOfDay(timeUtils.parseDate(t.targetDate));
+            if (targetDate > horizon) horizon.setTime(targetDate.getTime());
         });
-        console.log(`Imported ${count} dates from ICS`);
+
+        // 予定は例外日にせずファイルごとに持つ。同じファイルを取り込み直すと丸ごと置き換わるので、
+        // 二重に減ることも、ファイルから消えた予定が残ることもない
+        const dates = icsUtils.collectBusyDays(icsUtils.parse(content), today, horizon);
+        const existing = state.busyCalendars.find(c => c.name === fileName);
+        if (existing) existing.dates = dates;
+        else state.busyCalendars.push({ id: crypto.randomUUID(), name: fileName, dates });
+        console.log(`Imported ${Object.keys(dates).length} dates from ICS`);
     }
 
     function parseCSV(content) {
@@ -527,7 +2553,7 @@ function renderSettings() {
         const reader = new FileReader();
         reader.onload = (event) => {
             const content = event.target.result;
-            if (file.name.endsWith('.ics')) parseICS(content);
+            if (file.name.endsWith('.ics')) parseICS(content, file.name);
             else if (file.name.endsWith('.csv')) parseCSV(content);
             storage.save();
             renderSettings();
@@ -548,6 +2574,15 @@ function renderSettings() {
             renderSettings();
         };
     });
+
+    container.querySelectorAll('.delete-busy-calendar').forEach(btn => {
+        btn.onclick = () => {
+            if (!confirm('この予定ファイルを削除しますか？')) return;
+            state.busyCalendars = state.busyCalendars.filter(c => c.id !== btn.dataset.id);
+            storage.save();
+            renderSettings();
+        };
+    });
 }
 
 function renderDetail(target) {
@@ -563,12 +2598,12 @@ function renderDetail(target) {
 
 function renderEventDetail(target, container) {
     const today = new Date();
-    const targetDate = new Date(target.targetDate);
+    const targetDate = timeUtils.parseDate(target.targetDate);
     const calDays = timeUtils.calcCalendarDays(today, targetDate);
 
     container.innerHTML = `
         <header class="detail-header">
-            <button class="btn btn-ghost" onclick="switchView('list')" style="padding-left: 0; margin-bottom: 16px;">← 戻る</button>
+            ${renderDetailNav()}
             <div class="badge">イベント</div>
             <h1 style="color: ${target.color}">${target.name}</h1>
             <div class="total-hours-hero glow-text">あと ${calDays} 日</div>
@@ -576,10 +2611,14 @@ function renderEventDetail(target, container) {
         </header>
         <div class="card">
             <p>このターゲットは「イベント」として設定されています。日数のカウントダウンのみを行います。</p>
-            <button class="btn btn-ghost" id="delete-target-btn" style="color: var(--accent-red); margin-top: 20px;">このターゲットを削除</button>
         </div>
+        ${renderMilestoneSection(target)}
+        <button class="btn btn-ghost" id="delete-target-btn" style="color: var(--accent-red); margin-top: 20px; width: 100%;">このターゲットを削除</button>
     `;
 
+    bindDetailNav(container, target);
+    bindMilestoneSection(container, target);
+
     container.querySelector('#delete-target-btn').onclick = () => {
         if (confirm('このターゲットを削除しますか？')) {
             state.targets = state.targets.filter(t => t.id !== target.id);
@@ -589,93 +2628,584 @@ function renderEventDetail(target, container) {
     };
 }
 
+function renderMilestoneSection(target) {
+    const todayStr = timeUtils.formatDate(new Date());
+    const items = milestoneUtils.sorted(target);
+
+    return `
+        <section class="task-section milestone-section">
+            <div class="task-section-header">
+                <h2>マイルストーン</h2>
+                <button class="btn btn-ghost" id="add-milestone-btn">+ 追加</button>
+            </div>
+            ${items.length === 0 ? '<p class="empty-state" style="padding: 10px;">マイルストーンがありません</p>' : ''}
+            <div class="milestone-list">
+                ${items.map(m => {
+                    const done = milestoneUtils.isDone(target, m);
+                    const overdue = milestoneUtils.isOverdue(target, m, todayStr);
+                    const linked = target.tasks.filter(t => (m.taskIds || []).includes(t.id));
+                    return `
+                        <div class="milestone-item ${done ? 'is-done' : ''} ${overdue ? 'is-overdue' : ''}">
+                            <input type="checkbox" class="milestone-check" data-id="${m.id}" ${done ? 'checked' : ''}>
+                            <div class="milestone-info" data-id="${m.id}">
+                                <span class="milestone-name">${m.name}</span>
+                                <span class="milestone-meta">
+                                    ${m.date}${overdue ? ' ・期限切れ' : ''}
+                                    ${linked.length > 0 ? ` ・${linked.map(t => t.title).join(', ')}` : ''}
+                                </span>
+                            </div>
+                            <button class="btn btn-ghost btn-mini delete-milestone" data-id="${m.id}" style="color: var(--accent-red)">削除</button>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </section>
+    `;
+}
+
+function bindMilestoneSection(container, target) {
+    const find = (el) => (target.milestones || []).find(m => m.id === el.dataset.id);
+
+    container.querySelector('#add-milestone-btn').onclick = () => {
+        showMilestoneModal(target, null, () => renderDetail(target));
+    };
+
+    container.querySelectorAll('.milestone-info').forEach(info => {
+        info.onclick = () => showMilestoneModal(target, find(info), () => renderDetail(target));
+    });
+
+    container.querySelectorAll('.milestone-check').forEach(check => {
+        check.onchange = () => {
+            find(check).done = check.checked;
+            storage.save();
+            renderDetail(target);
+        };
+    });
+
+    container.querySelectorAll('.delete-milestone').forEach(btn => {
+        btn.onclick = () => {
+            if (confirm('このマイルストーンを削除しますか？')) {
+                target.milestones = target.milestones.filter(m => m.id !== btn.dataset.id);
+                storage.save();
+                renderDetail(target);
+            }
+        };
+    });
+}
+
+function showMilestoneModal(target, milestone, onSave) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    const taskIds = milestone ? (milestone.taskIds || []) : [];
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <h2 class="modal-title">${milestone ? 'マイルストーンを編集' : 'マイルストーンを追加'}</h2>
+            <div class="form-group">
+                <label>名前</label>
+                <input type="text" id="ms-name" placeholder="例: 過去問を一周する" value="${milestone ? milestone.name : ''}">
+            </div>
+            <div class="form-group">
+                <label>期日</label>
+                <input type="date" id="ms-date" value="${milestone ? milestone.date : timeUtils.formatDate(new Date())}">
+            </div>
+            ${target.tasks.length > 0 ? `
+                <div class="form-group">
+                    <label>関連タスク（すべて完了で達成）</label>
+                    ${target.tasks.map(t => `
+                        <label class="subtask-item">
+                            <input type="checkbox" class="ms-task" value="${t.id}" ${taskIds.includes(t.id) ? 'checked' : ''}>
+                            <span>${t.title}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="modal-actions">
+                <button class="btn btn-ghost" id="ms-cancel">キャンセル</button>
+                <button class="btn btn-primary" id="ms-save">保存</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('#ms-cancel').onclick = () => modal.remove();
+    modal.querySelector('#ms-save').onclick = () => {
+        const name = modal.querySelector('#ms-name').value.trim();
+        const date = modal.querySelector('#ms-date').value;
+        const selected = [...modal.querySelectorAll('.ms-task:checked')].map(input => input.value);
+
+        if (name && date) {
+            if (milestone) {
+                Object.assign(milestone, { name, date, taskIds: selected });
+            } else {
+                if (!target.milestones) target.milestones = [];
+                target.milestones.push({ id: crypto.randomUUID(), name, date, taskIds: selected, done: false });
+            }
+            storage.save();
+            modal.remove();
+            onSave();
+        } else {
+            alert('名前と期日を入力してください');
+        }
+    };
+}
+
+function renderDetailNav() {
+    return `
+        <div class="detail-nav">
+            <button class="btn btn-ghost" onclick="switchView('list')" style="padding-left: 0;">← 戻る</button>
+            <div class="detail-actions">
+                <button class="btn btn-ghost btn-mini" id="edit-target-btn">✏️ 編集</button>
+                <button class="btn btn-ghost btn-mini" id="duplicate-target-btn">📄 複製</button>
+            </div>
+        </div>
+    `;
+}
+
+function bindDetailNav(container, target) {
+    container.querySelector('#edit-target-btn').onclick = () => showTargetModal(target);
+    container.querySelector('#duplicate-target-btn').onclick = () => showTargetModal(target, { duplicate: true });
+}
+
+/**
+ * "今日残り Xh" for a study target: its share of what is left of today's available hours
+ */
+function calcTodayLeft(target) {
+    const today = new Date();
+    const share = planner.allocate(today)[target.id];
+    const hours = share ? share.days[timeUtils.formatDate(today)] || 0 : 0;
+    return Math.round(hours * 10) / 10;
+}
+
+function renderTodayLeft(target) {
+    const slot = timeUtils.getTimeSlot(timeUtils.startOfDay(new Date()));
+    return `今日残り ${calcTodayLeft(target)}h${slot ? `（${slot.start}〜${slot.end}）` : ''}`;
+}
+
+/**
+ * Refresh only the time-dependent numbers of the study hero, leaving inputs untouched
+ */
+function updateStudyHero(target) {
+    const container = document.getElementById('detail-view');
+    const hero = container && container.querySelector('#study-total-hours');
+    if (!hero) return;
+
+    const baseDateStr = localStorage.getItem(`base_date_${target.id}`) || timeUtils.formatDate(new Date());
+    hero.textContent = `あと ${planner.getTargetHours(target, timeUtils.parseDate(baseDateStr))} 時間`;
+    container.querySelector('#study-today-left').textContent = renderTodayLeft(target);
+}
+
 function renderStudyDetail(target, container) {
-    const baseDateStr = localStorage.getItem(`base_date_${target.id}`) || new Date().toISOString().split('T')[0];
-    const baseDate = new Date(baseDateStr);
-    const targetDate = new Date(target.targetDate);
-    const totalHours = timeUtils.calcTotalHours(baseDate, targetDate);
+    const baseDateStr = localStorage.getItem(`base_date_${target.id}`) || timeUtils.formatDate(new Date());
+    const baseDate = timeUtils.parseDate(baseDateStr);
+    const targetDate = timeUtils.parseDate(target.targetDate);
+    const rawHours = timeUtils.calcTotalHours(baseDate, targetDate);
+    const totalHours = planner.getTargetHours(target, baseDate);
 
     // Allocate hours to tasks
     const tasksWithHours = timeUtils.allocateTaskHours(totalHours, target.tasks);
 
+    // 実績（基準日以降に記録した学習時間）
+    const doneHours = target.tasks.reduce((sum, t) => sum + timeUtils.sumLoggedHours(t, baseDateStr), 0);
+
+    // 必要時間の見積もりと可処分時間の比較
+    const feasibility = timeUtils.calcFeasibility(target.tasks, baseDate, targetDate, totalHours);
+
     container.innerHTML = `
         <header class="detail-header">
-            <button class="btn btn-ghost" onclick="switchView('list')" style="padding-left: 0; margin-bottom: 16px;">← 戻る</button>
+            ${renderDetailNav()}
             <div class="badge" style="border-color: var(--accent-green); color: var(--accent-green)">勉強・仕事</div>
             <h1 style="color: ${target.color}">${target.name}</h1>
-            <div class="total-hours-hero glow-text">あと ${totalHours} 時間</div>
+            <div class="total-hours-hero glow-text" id="study-total-hours">あと ${totalHours} 時間</div>
+            <div class="today-left" id="study-today-left">${renderTodayLeft(target)}</div>
+            ${totalHours < rawHours ? `<div class="shared-note">全体の可処分 ${rawHours}h を他のターゲットと分け合っています</div>` : ''}
+            <div class="progress-summary">
+                実績 <strong>${doneHours}h</strong> / 残り可処分 <strong>${totalHours}h</strong>
+            </div>
             <div class="base-date-selector">
                 基準日: <input type="date" id="base-date-input" value="${baseDateStr}">
             </div>
         </header>
 
+        ${feasibility ? `
+            <div class="card feasibility-card ${feasibility.feasible ? '' : 'is-short'}">
+                <div class="feasibility-row">
+                    <span>必要時間（残り）</span>
+                    <strong>${feasibility.remaining}h <small>/ 見積 ${feasibility.required}h</small></strong>
+                </div>
+                <div class="feasibility-row">
+                    <span>可処分時間</span>
+                    <strong>${feasibility.available}h</strong>
+                </div>
+                <p class="feasibility-message">
+                    ${feasibility.feasible
+                        ? `現在の稼働設定で間に合います（余裕 ${feasibility.available - feasibility.remaining}h）`
+                        : `⚠ ${feasibility.shortfall}h 不足しています。稼働日1日あたり +${feasibility.extraPerDay}h 必要です`}
+                </p>
+            </div>
+        ` : ''}
+
         <section class="task-section">
             <div class="task-section-header">
                 <h2>タスク配分（時間の折半）</h2>
                 <button class="btn btn-ghost" id="reset-weights-btn">均等（折半）に戻す</button>
             </div>
             <div class="task-list" id="detail-task-list">
-                ${tasksWithHours.map(task => `
+                ${tasksWithHours.map(task => renderTaskItem(task, target, baseDateStr)).join('')}
+                <div class="task-item" style="border-style: dashed; display: flex; justify-content: center; cursor: pointer;" id="add-task-item">
+                    <span style="color: var(--text-sub)">+ 科目・タスクを追加</span>
+                </div>
+            </div>
+            <button class="btn btn-ghost" id="open-plan-btn" style="margin-top: 24px; width: 100%;">📅 日別プランを見る</button>
+        </section>
+
+        ${renderFocusSection(target)}
+
+        ${renderMilestoneSection(target)}
+
+        <button class="btn btn-ghost" id="delete-target-btn" style="color: var(--accent-red); margin-top: 16px; width: 100%;">このターゲットを削除</button>
+    `;
+
+    bindDetailNav(container, target);
+    bindMilestoneSection(container, target);
+    bindFocusSection(container.querySelector('#focus-section'), target);
+    container.querySelector('#open-plan-btn').onclick = () => switchView('plan', target.id);
+
+    // Event Listeners
+    container.querySelector('#base-date-input').onchange = (e) => {
+        localStorage.setItem(`base_date_${target.id}`, e.target.value);
+        renderDetail(target);
+    };
+
+    container.querySelectorAll('.weight-slider').forEach(slider => {
+        slider.oninput = (e) => {
+            const taskId = e.target.dataset.taskId;
+            const weight = parseInt(e.target.value);
+            const task = target.tasks.find(t => t.id === taskId);
+            if (task) {
+                task.weight = weight;
+                storage.save();
+                renderStudyDetail(target, container); // Partial re-render for performance
+            }
+        };
+    });
+
+    // 10 を超える重みは数値入力で指定する
+    container.querySelectorAll('.weight-input').forEach(input => {
+        input.onchange = (e) => {
+            const task = target.tasks.find(t => t.id === e.target.dataset.taskId);
+            if (task) {
+                task.weight = Math.max(0, parseInt(e.target.value) || 0);
+                storage.save();
+                renderDetail(target);
+            }
+        };
+    });
+
+    bindTaskManagement(container, target);
+
+    container.querySelectorAll('.required-hours-input').forEach(input => {
+        input.onchange = (e) => {
+            const task = target.tasks.find(t => t.id === e.target.dataset.taskId);
+            if (task) {
+                const hours = parseFloat(e.target.value);
+                task.requiredHours = hours > 0 ? hours : null;
+                storage.save();
+                renderDetail(target);
+            }
+        };
+    });
+
+    container.querySelectorAll('.add-log-btn').forEach(btn => {
+        btn.onclick = (e) => {
+            const task = target.tasks.find(t => t.id === e.target.dataset.taskId);
+            if (task) showLogSessionModal(task, () => renderDetail(target));
+        };
+    });
+
+    container.querySelectorAll('.delete-log').forEach(btn => {
+        btn.onclick = (e) => {
+            const task = target.tasks.find(t => t.id === e.target.dataset.taskId);
+            if (task && confirm('この記録を削除しますか？')) {
+                task.logs = (task.logs || []).filter(log => log.id !== e.target.dataset.logId);
+                storage.save();
+                renderDetail(target);
+            }
+        };
+    });
+
+    container.querySelector('#reset-weights-btn').onclick = () => {
+        target.tasks.forEach(t => t.weight = 1);
+        storage.save();
+        renderDetail(target);
+    };
+
+    container.querySelector('#add-task-item').onclick = () => {
+        const title = prompt('科目・タスク名を入力してください');
+        if (title) {
+            const required = parseFloat(prompt('必要時間（時間）を入力してください（空欄で未設定）') || '');
+            target.tasks.push({ id: crypto.randomUUID(), title: title, weight: 1, requiredHours: required > 0 ? required : null });
+            storage.save();
+            renderDetail(target);
+        }
+    };
+
+    container.querySelector('#delete-target-btn').onclick = () => {
+        if (confirm('このターゲットを削除しますか？')) {
+            state.targets = state.targets.filter(t => t.id !== target.id);
+            storage.save();
+            switchView('list');
+        }
+    };
+}
+
+function renderTaskItem(task, target, baseDateStr) {
+    const done = timeUtils.sumLoggedHours(task, baseDateStr);
+    const ratio = task.hours > 0 ? Math.min(100, (done / task.hours) * 100) : (done > 0 ? 100 : 0);
+    const logs = [...(task.logs || [])].sort((a, b) => b.date.localeCompare(a.date));
+    const subtasks = task.subtasks || [];
+    const checkedCount = subtasks.filter(st => st.done).length;
+
+    return `
+        <div class="task-item ${task.done ? 'is-done' : ''}" data-task-id="${task.id}">
+            <div class="task-header">
+                <div class="task-title-row">
+                    <button class="task-drag-handle" data-task-id="${task.id}" title="ドラッグ / ↑↓キーで並べ替え" aria-label="${task.title} を並べ替え">⋮⋮</button>
+                    <input type="checkbox" class="task-done-check" data-task-id="${task.id}" ${task.done ? 'checked' : ''} title="完了">
+                    <span class="task-title" data-task-id="${task.id}" title="クリックで名前を編集">${task.title}</span>
+                </div>
+                <div class="task-title-row">
+                    <span class="task-hours">${done}h <small>/ ${task.hours}h</small></span>
+                    <button class="btn btn-ghost btn-mini delete-task" data-task-id="${task.id}" style="color: var(--accent-red)" aria-label="${task.title} を削除">✕</button>
+                </div>
+            </div>
+            <div class="task-progress">
+                <div class="task-progress-fill" style="width: ${ratio}%; background: ${target.color}"></div>
+            </div>
+            ${task.done ? '' : `
+                <div class="weight-control">
+                    <input type="range" class="weight-slider" data-task-id="${task.id}" min="0" max="${Math.max(10, task.weight)}" value="${task.weight}">
+                    <input type="number" class="weight-input" data-task-id="${task.id}" value="${task.weight}" min="0" step="1">
+                </div>
+            `}
+            <div class="task-required">
+                <label>必要時間</label>
+                <input type="number" class="required-hours-input" data-task-id="${task.id}" value="${task.requiredHours || ''}" min="0" step="${ROUND_STEP}" placeholder="未設定">
+                <span>h</span>
+            </div>
+            <details class="subtask-list" ${subtasks.length > 0 && checkedCount < subtasks.length ? 'open' : ''}>
+                <summary>チェックリスト${subtasks.length > 0 ? ` (${checkedCount}/${subtasks.length})` : ''}</summary>
+                ${subtasks.map(st => `
+                    <label class="subtask-item">
+                        <input type="checkbox" class="subtask-check" data-task-id="${task.id}" data-subtask-id="${st.id}" ${st.done ? 'checked' : ''}>
+                        <span>${st.title}</span>
+                        <button class="btn btn-ghost btn-mini delete-subtask" data-task-id="${task.id}" data-subtask-id="${st.id}">✕</button>
+                    </label>
+                `).join('')}
+                <input type="text" class="subtask-add-input" data-task-id="${task.id}" placeholder="+ 項目を追加（Enter）">
+            </details>
+            <div class="task-log-row">
+                <button class="btn btn-ghost btn-mini add-log-btn" data-task-id="${task.id}">+ 実績を記録</button>
+                ${logs.length > 0 ? `<span class="task-log-count">${logs.length}件</span>` : ''}
+            </div>
+            ${logs.length > 0 ? `
+                <details class="task-log-list">
+                    <summary>記録一覧</summary>
+                    ${logs.map(log => `
+                        <div class="task-log-item">
+                            <span>${log.date}</span>
+                            <span>${log.hours}h</span>
+                            <button class="btn btn-ghost btn-mini delete-log" data-task-id="${task.id}" data-log-id="${log.id}" style="color: var(--accent-red)">削除</button>
+                        </div>
+                    `).join('')}
+                </details>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Rename, complete, delete, reorder and checklist handlers for the task list
+ */
+function bindTaskManagement(container, target) {
+    const findTask = (el) => target.tasks.find(t => t.id === el.dataset.taskId);
+    const rerender = () => {
+        storage.save();
+        renderDetail(target);
+    };
+
+    container.querySelectorAll('.task-title').forEach(title => {
+        title.onclick = () => {
+            const task = findTask(title);
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'task-title-input';
+            input.value = task.title;
+            title.replaceWith(input);
+            input.focus();
+            input.select();
+
+            let finished = false;
+            const finish = (save) => {
+                if (finished) return;
+                finished = true;
+                const value = input.value.trim();
+                if (save && value) task.title = value;
+                rerender();
+            };
+            input.onkeydown = (e) => {
+                if (e.key === 'Enter') finish(true);
+                if (e.key === 'Escape') finish(false);
+            };
+            input.onblur = () => finish(true);
+        };
+    });
+
+    container.querySelectorAll('.task-done-check').forEach(check => {
+        check.onchange = () => {
+            findTask(check).done = check.checked;
+            rerender();
+        };
+    });
+
+    container.querySelectorAll('.delete-task').forEach(btn => {
+        btn.onclick = () => {
+            const task = findTask(btn);
+            const logCount = (task.logs || []).length;
+            const message = logCount > 0
+                ? `「${task.title}」を削除しますか？\n記録済みの実績 ${logCount} 件も削除されます。`
+                : `「${task.title}」を削除しますか？`;
+            if (confirm(message)) {
+                target.tasks = target.tasks.filter(t => t.id !== task.id);
+                rerender();
+            }
+        };
+    });
+
+    container.querySelectorAll('.subtask-check').forEach(check => {
+        check.onchange = () => {
+            const subtask = (findTask(check).subtasks || []).find(st => st.id === check.dataset.subtaskId);
+            if (subtask) subtask.done = check.checked;
+            rerender();
+        };
+    });
+
+    container.querySelectorAll('.delete-subtask').forEach(btn => {
+        btn.onclick = (e) => {
+            e.preventDefault();
+            const task = findTask(btn);
+            task.subtasks = (task.subtasks || []).filter(st => st.id !== btn.dataset.subtaskId);
+            rerender();
+        };
+    });
+
+    container.querySelectorAll('.subtask-add-input').forEach(input => {
+        input.onkeydown = (e) => {
+            if (e.key !== 'Enter' || !input.value.trim()) return;
+            const task = findTask(input);
+            if (!task.subtasks) task.subtasks = [];
+            task.subtasks.push({ id: crypto.randomUUID(), title: input.value.trim(), done: false });
+            rerender();
+            const next = container.querySelector(`.subtask-add-input[data-task-id="${task.id}"]`);
+            if (next) next.focus();
+        };
+    });
+
+    // Keyboard reordering on the focused handle
+    container.querySelectorAll('.task-drag-handle').forEach(handle => {
+        handle.onkeydown = (e) => {
+            if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+            e.preventDefault();
+            const index = target.tasks.findIndex(t => t.id === handle.dataset.taskId);
+            const nextIndex = index + (e.key === 'ArrowUp' ? -1 : 1);
+            if (nextIndex < 0 || nextIndex >= target.tasks.length) return;
+            const [task] = target.tasks.splice(index, 1);
+            target.tasks.splice(nextIndex, 0, task);
+            rerender();
+            const moved = container.querySelector(`.task-drag-handle[data-task-id="${task.id}"]`);
+            if (moved) moved.focus();
+        };
+
+        // ハンドルを掴んだときだけドラッグ可能にする（スライダー操作と干渉させない）
+        const item = handle.closest('.task-item');
+        handle.onmousedown = () => item.setAttribute('draggable', 'true');
+        item.addEventListener('dragend', () => item.removeAttribute('draggable'));
+    });
+
+    setupDragging(container.querySelector('#detail-task-list'), '.task-item[data-task-id]', (order) => {
+        target.tasks = order.map(id => target.tasks.find(t => t.id === id)).filter(Boolean);
+        rerender();
+    });
+}
+
+function renderPlan(target, { regenerate = false } = {}) {
+    const container = document.getElementById('plan-view');
+    if (!container) return;
+
+    const todayStr = timeUtils.formatDate(new Date());
+    const missedDays = planner.refreshPlan(target, { force: regenerate });
+
+    const taskName = (taskId) => {
+        const task = target.tasks.find(t => t.id === taskId);
+        return task ? task.title : '（削除済み）';
+    };
+    const loggedOn = (taskId, dateStr) => {
+        const task = target.tasks.find(t => t.id === taskId);
+        return task ? (task.logs || []).filter(log => log.date === dateStr).reduce((sum, log) => sum + log.hours, 0) : 0;
+    };
+
+    const dates = Object.keys(target.plan.days).filter(d => d >= todayStr).sort();
+    const todayEntries = target.plan.days[todayStr] || [];
+    const upcoming = dates.filter(d => d !== todayStr);
+
+    container.innerHTML = `
+        <header class="detail-header">
+            <button class="btn btn-ghost" id="plan-back-btn" style="padding-left: 0; margin-bottom: 16px;">← 戻る</button>
+            <div class="badge" style="border-color: var(--accent-green); color: var(--accent-green)">日別プラン</div>
+            <h1 style="color: ${target.color}">${target.name}</h1>
+            <p style="color: var(--text-sub)">${target.plan.generatedAt} 生成 / 目標日: ${target.targetDate}</p>
+        </header>
+
+        ${missedDays.length > 0 ? `<div class="card plan-notice">未消化だった ${missedDays.length} 日分を今日以降に再配分しました</div>` : ''}
+
+        <section class="task-section">
+            <div class="task-section-header">
+                <h2>今日の割り当て</h2>
+                <button class="btn btn-ghost" id="regenerate-plan-btn">再生成</button>
+            </div>
+            <div class="task-list">
+                ${todayEntries.length === 0 ? '<p class="empty-state">今日の割り当てはありません</p>' : ''}
+                ${todayEntries.map(entry => `
                     <div class="task-item">
                         <div class="task-header">
-                            <span class="task-title">${task.title}</span>
-                            <span class="task-hours">${task.hours}h</span>
+                            <span class="task-title">${taskName(entry.taskId)}</span>
+                            <span class="task-hours">${loggedOn(entry.taskId, todayStr)}h <small>/ ${entry.hours}h</small></span>
                         </div>
-                        <div class="weight-control">
-                            <input type="range" class="weight-slider" data-task-id="${task.id}" min="0" max="10" value="${task.weight}">
-                            <span class="weight-value">${task.weight}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+
+        <section class="task-section" style="margin-top: 32px;">
+            <h2 style="margin-bottom: 16px;">今後の予定</h2>
+            ${upcoming.length === 0 ? '<p class="empty-state">予定はありません</p>' : ''}
+            <div class="plan-days">
+                ${upcoming.map(dateStr => `
+                    <div class="plan-day">
+                        <div class="plan-date">${dateStr}</div>
+                        <div class="plan-entries">
+                            ${target.plan.days[dateStr].map(entry => `
+                                <span class="plan-entry">${taskName(entry.taskId)} <strong>${entry.hours}h</strong></span>
+                            `).join('')}
                         </div>
                     </div>
                 `).join('')}
-                <div class="task-item" style="border-style: dashed; display: flex; justify-content: center; cursor: pointer;" id="add-task-item">
-                    <span style="color: var(--text-sub)">+ 科目・タスクを追加</span>
-                </div>
             </div>
-            <button class="btn btn-ghost" id="delete-target-btn" style="color: var(--accent-red); margin-top: 40px; width: 100%;">このターゲットを削除</button>
         </section>
     `;
 
-    // Event Listeners
-    container.querySelector('#base-date-input').onchange = (e) => {
-        localStorage.setItem(`base_date_${target.id}`, e.target.value);
-        renderDetail(target);
-    };
-
-    container.querySelectorAll('.weight-slider').forEach(slider => {
-        slider.oninput = (e) => {
-            const taskId = e.target.dataset.taskId;
-            const weight = parseInt(e.target.value);
-            const task = target.tasks.find(t => t.id === taskId);
-            if (task) {
-                task.weight = weight;
-                storage.save();
-                renderStudyDetail(target, container); // Partial re-render for performance
-            }
-        };
-    });
-
-    container.querySelector('#reset-weights-btn').onclick = () => {
-        target.tasks.forEach(t => t.weight = 1);
-        storage.save();
-        renderDetail(target);
-    };
-
-    container.querySelector('#add-task-item').onclick = () => {
-        const title = prompt('科目・タスク名を入力してください');
-        if (title) {
-            target.tasks.push({ id: crypto.randomUUID(), title: title, weight: 1 });
-            storage.save();
-            renderDetail(target);
-        }
-    };
-
-    container.querySelector('#delete-target-btn').onclick = () => {
-        if (confirm('このターゲットを削除しますか？')) {
-            state.targets = state.targets.filter(t => t.id !== target.id);
-            storage.save();
-            switchView('list');
-        }
-    };
+    container.querySelector('#plan-back-btn').onclick = () => switchView('detail', target.id);
+    container.querySelector('#regenerate-plan-btn').onclick = () => renderPlan(target, { regenerate: true });
 }
 
 function renderList() {
@@ -692,6 +3222,7 @@ function renderList() {
     }
 
     const today = new Date();
+    const shares = planner.allocate(today);
 
     // Sort targets: Study first, then Event
     const sortedTargets = [...state.targets].sort((a, b) => {
@@ -700,7 +3231,7 @@ function renderList() {
     });
 
     listContainer.innerHTML = sortedTargets.map(target => {
-        const targetDate = new Date(target.targetDate);
+        const targetDate = timeUtils.parseDate(target.targetDate);
         const calDays = timeUtils.calcCalendarDays(today, targetDate);
 
         let mainDisplay = '';
@@ -711,10 +3242,24 @@ function renderList() {
             mainDisplay = `<small>あと</small> ${calDays} <small>日</small>`;
             subDisplay = '全日数カウント';
         } else {
-            const totalHours = timeUtils.calcTotalHours(today, targetDate);
+            const totalHours = shares[target.id].total;
+            const baseDateStr = localStorage.getItem(`base_date_${target.id}`) || timeUtils.formatDate(today);
+            const feasibility = timeUtils.calcFeasibility(target.tasks, today, targetDate, totalHours, baseDateStr);
             mainDisplay = `<small>あと</small> ${calDays} <small>日</small>`;
+            const todayLeft = shares[target.id].days[timeUtils.formatDate(today)] || 0;
             hoursDisplay = `${totalHours}h`;
-            subDisplay = `暦日数計 / 総可処分時間`;
+            subDisplay = `暦日数計 / 配分後の可処分時間`;
+            subDisplay += `<div class="today-left">今日残り ${Math.round(todayLeft * 10) / 10}h</div>`;
+            if (feasibility && !feasibility.feasible) {
+                subDisplay += `<div class="target-warning">⚠ ${feasibility.shortfall}h 不足（+${feasibility.extraPerDay}h/日）</div>`;
+            }
+        }
+
+        const nextMilestone = milestoneUtils.getNext(target);
+        if (nextMilestone) {
+            const msDays = timeUtils.calcCalendarDays(today, timeUtils.parseDate(nextMilestone.date));
+            const overdue = milestoneUtils.isOverdue(target, nextMilestone, timeUtils.formatDate(today));
+            subDisplay += `<div class="target-milestone ${overdue ? 'is-overdue' : ''}">🚩 ${nextMilestone.name}（${overdue ? `${-msDays}日超過` : `あと${msDays}日`}）</div>`;
         }
 
         return `
@@ -743,13 +3288,41 @@ function renderList() {
     }).join('');
 
     // Setup Drag and Drop
-    setupDragging(listContainer);
+    setupDragging(listContainer, '.target-item', (newOrder) => {
+        // Reorder state.targets based on this newOrder
+        const reorderedTargets = [];
+        newOrder.forEach(id => {
+            const t = state.targets.find(target => target.id === id);
+            if (t) reorderedTargets.push(t);
+        });
+
+        state.targets = reorderedTargets;
+        storage.save();
+    });
+
+    listContainer.querySelectorAll('.target-item').forEach(item => {
+        // Handle item click (only if not dragging)
+        item.addEventListener('click', (e) => {
+            if (item.classList.contains('dragging')) return;
+            // If clicked on drag handle, don't trigger detail view? 
+            // Actually, for better UX, clicking anywhere BUT the handle can still work, 
+            // but usually we just handle the whole item. Let's ensure it's not a drag.
+            if (e.target.closest('.drag-handle')) return;
+
+            state.selectedTargetId = item.dataset.id;
+            switchView('detail', item.dataset.id);
+        });
+    });
 }
 
-function setupDragging(container) {
+/**
+ * Drag-and-drop reordering of itemSelector elements; onReorder receives the new id order
+ */
+function setupDragging(container, itemSelector, onReorder) {
     let draggingItem = null;
+    const idOf = (el) => el.dataset.id || el.dataset.taskId;
 
-    container.querySelectorAll('.target-item').forEach(item => {
+    container.querySelectorAll(itemSelector).forEach(item => {
         item.addEventListener('dragstart', (e) => {
             draggingItem = item;
             item.classList.add('dragging');
@@ -761,46 +3334,28 @@ function setupDragging(container) {
             draggingItem = null;
 
             // Save new order
-            const newOrder = Array.from(container.querySelectorAll('.target-item'))
-                .map(el => el.dataset.id);
-
-            // Reorder state.targets based on this newOrder
-            const reorderedTargets = [];
-            newOrder.forEach(id => {
-                const t = state.targets.find(target => target.id === id);
-                if (t) reorderedTargets.push(t);
-            });
-
-            state.targets = reorderedTargets;
-            storage.save();
+            const newOrder = Array.from(container.querySelectorAll(itemSelector)).map(idOf);
+            onReorder(newOrder);
         });
 
         item.addEventListener('dragover', (e) => {
             e.preventDefault();
-            const afterElement = getDragAfterElement(container, e.clientY);
+            if (!draggingItem) return;
+            const afterElement = getDragAfterElement(container, e.clientY, itemSelector);
             if (afterElement == null) {
-                container.appendChild(draggingItem);
+                // 末尾の項目の直後へ（項目以外の要素、例えば追加ボタンより前に留める）
+                const others = [...container.querySelectorAll(`${itemSelector}:not(.dragging)`)];
+                const last = others[others.length - 1];
+                container.insertBefore(draggingItem, last ? last.nextSibling : container.firstChild);
             } else {
                 container.insertBefore(draggingItem, afterElement);
             }
         });
-
-        // Handle item click (only if not dragging)
-        item.addEventListener('click', (e) => {
-            if (item.classList.contains('dragging')) return;
-            // If clicked on drag handle, don't trigger detail view? 
-            // Actually, for better UX, clicking anywhere BUT the handle can still work, 
-            // but usually we just handle the whole item. Let's ensure it's not a drag.
-            if (e.target.closest('.drag-handle')) return;
-
-            state.selectedTargetId = item.dataset.id;
-            switchView('detail');
-        });
     });
 }
 
-function getDragAfterElement(container, y) {
-    const draggableElements = [...container.querySelectorAll('.target-item:not(.dragging)')];
+function getDragAfterElement(container, y, itemSelector) {
+    const draggableElements = [...container.querySelectorAll(`${itemSelector}:not(.dragging)`)];
     return draggableElements.reduce((closest, child) => {
         const box = child.getBoundingClientRect();
         const offset = y - box.top - box.height / 2;
@@ -822,33 +3377,77 @@ function renderRoad() {
     }
 
     const today = timeUtils.startOfDay(new Date());
-    let roadHtml = '<h1 class="glow-text">Time Road</h1>';
+    const shares = planner.allocate(today);
+    const mode = localStorage.getItem('timemark_road_mode') || 'separate';
+    const zoom = localStorage.getItem('timemark_road_zoom') || 'month';
+
+    let roadHtml = `
+        <div class="road-header">
+            <h1 class="glow-text">Time Road</h1>
+            <div class="segmented" id="road-mode-toggle">
+                <button class="${mode === 'separate' ? 'active' : ''}" data-mode="separate">個別</button>
+                <button class="${mode === 'combined' ? 'active' : ''}" data-mode="combined">統合</button>
+            </div>
+        </div>
+    `;
+
+    if (mode === 'combined') {
+        roadHtml += `
+            <div class="segmented timeline-zoom" id="road-zoom-toggle">
+                ${Object.entries(TIMELINE_ZOOMS).map(([key, z]) => `
+                    <button class="${zoom === key ? 'active' : ''}" data-zoom="${key}">${z.label}</button>
+                `).join('')}
+            </div>
+            ${renderCombinedTimeline(today, zoom)}
+        `;
+    }
 
-    state.targets.forEach(target => {
+    if (mode === 'separate') state.targets.forEach(target => {
         const start = timeUtils.startOfDay(new Date(target.createdAt || Date.now()));
-        const end = timeUtils.startOfDay(new Date(target.targetDate));
+        const end = timeUtils.startOfDay(timeUtils.parseDate(target.targetDate));
 
         const totalDays = timeUtils.calcCalendarDays(start, end);
         const elapsed = timeUtils.calcCalendarDays(start, today);
         const remaining = Math.max(0, totalDays - elapsed);
 
+        // 勉強ターゲットは暦日ではなく可処分時間の累計を軸にする
+        const progress = target.type === 'study' ? planner.calcProgress(target, today) : null;
+        const useHoursAxis = progress && progress.totalHours > 0;
+        const hourDates = useHoursAxis ? Object.keys(progress.days).sort() : [];
+
         // 比率計算関数 (0% to 100%)
         const getPos = (date) => {
+            if (useHoursAxis) {
+                const dateStr = timeUtils.formatDate(date);
+                const before = hourDates.filter(d => d < dateStr).reduce((sum, d) => sum + progress.days[d], 0);
+                return Math.min(100, Math.max(0, (before / progress.totalHours) * 100));
+            }
             if (totalDays <= 0) return 50; // 当日のみの場合は中央
             const d = timeUtils.calcCalendarDays(start, date);
             return Math.min(100, Math.max(0, (d / totalDays) * 100));
         };
 
-        const todayPos = getPos(today);
+        // 累計時間が percent に達する日
+        const getDateAt = (percent) => {
+            const date = new Date(start);
+            if (useHoursAxis) {
+                let cumulative = 0;
+                const reached = hourDates.find(d => (cumulative += progress.days[d]) >= (progress.totalHours * percent) / 100);
+                return timeUtils.parseDate(reached || hourDates[hourDates.length - 1]);
+            }
+            date.setDate(start.getDate() + Math.round((totalDays * percent) / 100));
+            return date;
+        };
+
+        const todayPos = progress ? progress.workRatio * 100 : getPos(today);
+        const pacePos = progress ? progress.timeRatio * 100 : null;
 
         // 目盛り（Tick）の生成ロジック
         const ticks = [25, 50, 75]; // 0%と100%はマーカーと被るので除外
         const ticksHtml = ticks.map(percent => {
-            const date = new Date(start);
-            date.setDate(start.getDate() + Math.round((totalDays * percent) / 100));
+            const date = getDateAt(percent);
             const dateStr = `${date.getMonth() + 1}/${date.getDate()}`;
-            const remDays = Math.max(0, totalDays - Math.round((totalDays * percent) / 100) - elapsed);
-            const relativeRem = Math.max(0, Math.round((totalDays * (100 - percent)) / 100));
+            const relativeRem = Math.max(0, timeUtils.calcCalendarDays(date, end));
 
             return `
                 <div class="road-tick" style="left: ${percent}%;">
@@ -863,6 +3462,20 @@ function renderRoad() {
 
         }).join('');
 
+        const todayStr = timeUtils.formatDate(today);
+        const milestonesHtml = milestoneUtils.sorted(target).map(m => {
+            const date = timeUtils.parseDate(m.date);
+            const done = milestoneUtils.isDone(target, m);
+            const overdue = milestoneUtils.isOverdue(target, m, todayStr);
+            const msRemaining = timeUtils.calcCalendarDays(today, date);
+            return `
+                <div class="road-milestone ${done ? 'is-done' : ''} ${overdue ? 'is-overdue' : ''}" style="left: ${getPos(date)}%; border-color: ${overdue ? 'var(--accent-red)' : target.color};">
+                    <div class="ms-label">${done ? '✓ ' : ''}${m.name}</div>
+                    <div class="ms-rem">${date.getMonth() + 1}/${date.getDate()} ${done ? '達成' : (overdue ? `${-msRemaining}日超過` : `あと${msRemaining}日`)}</div>
+                </div>
+            `;
+        }).join('');
+
         const stickmanHtml = `
             <div class="stickman">
                 <div class="stickman-head"></div>
@@ -875,13 +3488,14 @@ function renderRoad() {
         `;
 
         roadHtml += `
-            <div class="road-item-container">
+            <div class="road-item-container ${milestonesHtml ? 'has-milestones' : ''}">
                 <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 12px;">
                     <div class="road-target-name" style="color: ${target.color}">${target.name}</div>
                     <div class="road-countdown-badge">
                         <span>あと</span>
                         <span style="color: ${target.color}; font-size: 1.1rem; margin: 0 4px;">${remaining}</span>
                         <span>日</span>
+                        ${shares[target.id] ? `<span class="road-hours">/ ${shares[target.id].total}h</span>` : ''}
                     </div>
                 </div>
                 
@@ -892,75 +3506,644 @@ function renderRoad() {
                         <!-- 目盛り -->
                         ${ticksHtml}
 
-                        <!-- 開始点 -->
-                        <div class="road-marker" style="left: 0%;">
-                            <div class="marker-label">START</div>
-                            <div class="marker-dot"></div>
-                            <div class="marker-date">${start.getMonth() + 1}/${start.getDate()}</div>
-                        </div>
+                        <!-- 開始点 -->
+                        <div class="road-marker" style="left: 0%;">
+                            <div class="marker-label">START</div>
+                            <div class="marker-dot"></div>
+                            <div class="marker-date">${start.getMonth() + 1}/${start.getDate()}</div>
+                        </div>
+
+                        ${progress ? `
+                            <!-- 時間の経過（本来いるべき位置） -->
+                            <div class="road-marker marker-pace" style="left: ${pacePos}%;">
+                                <div class="marker-label">TIME</div>
+                                <div class="marker-dot"></div>
+                            </div>
+                        ` : ''}
+
+                        <!-- 今日（勉強ターゲットは実績の位置） -->
+                        <div class="road-marker marker-today" style="left: ${todayPos}%;">
+                            ${stickmanHtml}
+                            <div class="marker-label">${progress ? 'YOU' : 'TODAY'}</div>
+                            <div class="marker-remaining">${progress ? `${Math.round(progress.workRatio * 100)}%` : `あと${remaining}日`}</div>
+                        </div>
+
+                        <!-- マイルストーン -->
+                        ${milestonesHtml}
+
+                        <!-- 目標日 -->
+                        <div class="road-marker" style="left: 100%;">
+                            <div class="marker-label">GOAL</div>
+                            <div class="marker-dot"></div>
+                            <div class="marker-date">${end.getMonth() + 1}/${end.getDate()}</div>
+                        </div>
+                    </div>
+                </div>
+                ${progress ? renderRoadProgress(progress, end) : ''}
+            </div>
+        `;
+
+
+
+    });
+
+    roadContainer.innerHTML = roadHtml;
+
+    roadContainer.querySelectorAll('#road-mode-toggle button').forEach(btn => {
+        btn.onclick = () => {
+            localStorage.setItem('timemark_road_mode', btn.dataset.mode);
+            renderRoad();
+        };
+    });
+    roadContainer.querySelectorAll('#road-zoom-toggle button').forEach(btn => {
+        btn.onclick = () => {
+            localStorage.setItem('timemark_road_zoom', btn.dataset.zoom);
+            renderRoad();
+        };
+    });
+
+    // 今日の位置が見えるようにスクロール
+    const scroller = roadContainer.querySelector('.timeline-scroller');
+    const todayLine = roadContainer.querySelector('.timeline-today');
+    if (scroller && todayLine) {
+        scroller.scrollLeft = Math.max(0, todayLine.offsetLeft - scroller.clientWidth / 3);
+    }
+}
+
+// 統合タイムラインの縮尺（1日あたりの幅と目盛りの間隔）
+const TIMELINE_ZOOMS = {
+    week: { label: '週', dayWidth: 48, tick: 'day' },
+    month: { label: '月', dayWidth: 14, tick: 'week' },
+    term: { label: '学期', dayWidth: 4, tick: 'month' }
+};
+
+/**
+ * All targets on one shared date axis, with time periods as bands and holidays as lines
+ */
+function renderCombinedTimeline(today, zoomKey) {
+    const zoom = TIMELINE_ZOOMS[zoomKey] || TIMELINE_ZOOMS.month;
+
+    const starts = state.targets.map(t => timeUtils.startOfDay(new Date(t.createdAt || Date.now())));
+    const ends = state.targets.map(t => timeUtils.startOfDay(timeUtils.parseDate(t.targetDate)));
+    const rangeStart = new Date(Math.min(today.getTime(), ...starts.map(d => d.getTime())));
+    const rangeEnd = new Date(Math.max(today.getTime(), ...ends.map(d => d.getTime())));
+    rangeStart.setDate(rangeStart.getDate() - 3);
+    rangeEnd.setDate(rangeEnd.getDate() + 4);
+
+    const totalDays = timeUtils.calcCalendarDays(rangeStart, rangeEnd);
+    const x = (date) => timeUtils.calcCalendarDays(rangeStart, date) * zoom.dayWidth;
+    const width = totalDays * zoom.dayWidth;
+    const label = (date) => `${date.getMonth() + 1}/${date.getDate()}`;
+
+    // 目盛り
+    const ticks = [];
+    for (let d = new Date(rangeStart); d <= rangeEnd; d.setDate(d.getDate() + 1)) {
+        const isTick = zoom.tick === 'day' || (zoom.tick === 'week' && d.getDay() === 1) || (zoom.tick === 'month' && d.getDate() === 1);
+        if (!isTick) continue;
+        const text = zoom.tick === 'month' ? `${d.getFullYear()}/${d.getMonth() + 1}` : label(d);
+        ticks.push(`<div class="timeline-tick ${d.getDate() === 1 ? 'is-month' : ''}" style="left: ${x(d)}px;">${text}</div>`);
+    }
+
+    const rangeStartStr = timeUtils.formatDate(rangeStart);
+    const rangeEndStr = timeUtils.formatDate(rangeEnd);
+
+    // 期間指定（長期休暇など）
+    const bands = state.timePeriods
+        .filter(p => p.end >= rangeStartStr && p.start <= rangeEndStr)
+        .map(p => {
+            const start = timeUtils.parseDate(p.start < rangeStartStr ? rangeStartStr : p.start);
+            const end = timeUtils.parseDate(p.end > rangeEndStr ? rangeEndStr : p.end);
+            const bandWidth = (timeUtils.calcCalendarDays(start, end) + 1) * zoom.dayWidth;
+            return `<div class="timeline-band" style="left: ${x(start)}px; width: ${bandWidth}px;" title="${p.name} (${p.start}〜${p.end})"><span>${p.name}</span></div>`;
+        }).join('');
+
+    // 祝日
+    const holidayDates = holidayUtils.between(rangeStartStr, rangeEndStr);
+    const holidays = Object.keys(holidayDates)
+        .map(d => `<div class="timeline-holiday" style="left: ${x(timeUtils.parseDate(d)) + zoom.dayWidth / 2}px;" title="${d} ${escapeHtml(holidayDates[d])}"></div>`)
+        .join('');
+
+    const todayStr = timeUtils.formatDate(today);
+    const rows = state.targets.map((target, i) => {
+        const start = starts[i];
+        const end = ends[i];
+        const milestones = (target.milestones || []).map(m => `
+            <div class="timeline-milestone ${milestoneUtils.isOverdue(target, m, todayStr) ? 'is-overdue' : ''}"
+                 style="left: ${x(timeUtils.parseDate(m.date)) - x(start)}px;" title="${m.name} (${m.date})"></div>
+        `).join('');
+        return `
+            <div class="timeline-row">
+                <div class="timeline-bar ${target.type === 'event' ? 'is-event' : ''}"
+                     style="left: ${x(start)}px; width: ${Math.max(zoom.dayWidth, x(end) - x(start))}px; background: ${target.color};"
+                     title="${target.name}: ${label(start)} 〜 ${label(end)}">
+                    ${milestones}
+                </div>
+                <div class="timeline-label" style="left: ${x(end) + 6}px; color: ${target.color};">${target.name} <small>${label(end)}</small></div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="timeline-scroller">
+            <div class="timeline" style="width: ${width}px;">
+                <div class="timeline-axis">${ticks.join('')}</div>
+                ${bands}
+                ${holidays}
+                <div class="timeline-rows">${rows}</div>
+                <div class="timeline-today" style="left: ${x(today) + zoom.dayWidth / 2}px;"><span>TODAY</span></div>
+            </div>
+        </div>
+        <div class="timeline-legend">
+            <span><i class="legend-band"></i>期間指定</span>
+            <span><i class="legend-holiday"></i>祝日</span>
+            <span><i class="legend-milestone"></i>マイルストーン</span>
+        </div>
+    `;
+}
+
+
+function renderRoadProgress(progress, end) {
+    const round = (h) => Math.round(h * 10) / 10;
+    const delta = round(progress.delta);
+    const status = delta >= 0
+        ? `<span class="pace-ahead">▲ ${delta}h 先行</span>`
+        : `<span class="pace-behind">▼ ${-delta}h 遅れ</span>`;
+
+    let projection = 'ペース予測: 実績の記録がまだありません';
+    if (progress.projectedDate) {
+        const lateDays = timeUtils.calcCalendarDays(end, progress.projectedDate);
+        const dateLabel = `${progress.projectedDate.getMonth() + 1}/${progress.projectedDate.getDate()}`;
+        projection = progress.workRatio >= 1
+            ? '完了しています'
+            : `このペースだと ${dateLabel} に完了${lateDays > 0 ? `（目標日の <span class="pace-behind">${lateDays}日後</span>）` : `（目標日の ${-lateDays}日前）`}`;
+    }
+
+    return `
+        <div class="road-stats-row">
+            <span>実績 ${round(progress.workDone)} / ${round(progress.workTotal)}h${progress.hasEstimates ? '' : '（可処分時間比）'}</span>
+            <span>時間経過 ${Math.round(progress.timeRatio * 100)}%</span>
+            ${status}
+        </div>
+        <div class="road-projection">${projection}</div>
+    `;
+}
+
+// 表示中の月（月初の日付）
+let calendarMonth = null;
+
+const HOUR_SOURCE_LABELS = {
+    custom: '例外日',
+    rule: '繰り返しルール',
+    period: '期間指定',
+    holiday: '祝日',
+    weekly: '曜日設定'
+};
+
+function renderCalendar() {
+    const container = document.getElementById('calendar-view');
+    if (!container) return;
+
+    const today = timeUtils.startOfDay(new Date());
+    const todayStr = timeUtils.formatDate(today);
+    if (!calendarMonth) calendarMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    const year = calendarMonth.getFullYear();
+    const month = calendarMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = calendarMonth.getDay();
+
+    // 締切日（目標日・マイルストーン）
+    const deadlines = {};
+    state.targets.forEach(t => {
+        (deadlines[t.targetDate] = deadlines[t.targetDate] || []).push({ name: t.name, color: t.color, goal: true });
+        (t.milestones || []).forEach(m => {
+            (deadlines[m.date] = deadlines[m.date] || []).push({ name: m.name, color: t.color, goal: false });
+        });
+    });
+
+    let monthTotal = 0;
+    const cells = [];
+    for (let i = 0; i < leadingBlanks; i++) cells.push('<div class="cal-cell is-blank"></div>');
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const dateStr = timeUtils.formatDate(date);
+        const resolved = timeUtils.resolveHours(date);
+        monthTotal += resolved.hours;
+
+        cells.push(`
+            <button class="cal-cell src-${resolved.source} ${dateStr === todayStr ? 'is-today' : ''} ${date.getDay() === 0 ? 'is-sun' : ''} ${date.getDay() === 6 ? 'is-sat' : ''}"
+                    data-date="${dateStr}" title="${HOUR_SOURCE_LABELS[resolved.source]}${resolved.period ? `: ${resolved.period.name}` : ''}${resolved.rule ? `: ${resolved.rule.name || timeUtils.describeHourRule(resolved.rule)}` : ''}${resolved.busy ? ` ・${timeUtils.describeBusy(resolved.busy)}` : ''}">
+                <span class="cal-day ${resolved.holidayName ? 'is-holiday' : ''}">${day}</span>
+                <span class="cal-hours">${resolved.hours}h</span>
+                ${resolved.holidayName ? `<span class="cal-holiday">${escapeHtml(resolved.holidayName)}</span>` : ''}
+                ${(deadlines[dateStr] || []).map(d => `
+                    <span class="cal-deadline" style="color: ${d.color}">${d.goal ? '🎯' : '🚩'}${d.name}</span>
+                `).join('')}
+            </button>
+        `);
+    }
+
+    container.innerHTML = `
+        <h1 class="glow-text">Calendar</h1>
+        <div class="cal-header">
+            <button class="btn btn-ghost" id="cal-prev">‹</button>
+            <div class="cal-title">
+                ${year}年${month + 1}月
+                <small>合計 ${monthTotal}h</small>
+            </div>
+            <button class="btn btn-ghost" id="cal-next">›</button>
+        </div>
+        <div class="cal-grid">
+            ${['日', '月', '火', '水', '木', '金', '土'].map(w => `<div class="cal-weekday">${w}</div>`).join('')}
+            ${cells.join('')}
+        </div>
+        <div class="timeline-legend cal-legend">
+            ${Object.entries(HOUR_SOURCE_LABELS).map(([source, text]) => `<span><i class="legend-src src-${source}"></i>${text}</span>`).join('')}
+        </div>
+    `;
+
+    container.querySelector('#cal-prev').onclick = () => {
+        calendarMonth = new Date(year, month - 1, 1);
+        renderCalendar();
+    };
+    container.querySelector('#cal-next').onclick = () => {
+        calendarMonth = new Date(year, month + 1, 1);
+        renderCalendar();
+    };
+    container.querySelectorAll('.cal-cell[data-date]').forEach(cell => {
+        cell.onclick = () => showDayHoursModal(cell.dataset.date, renderCalendar);
+    });
+}
+
+/**
+ * Set or clear a customDates override for one day
+ */
+function showDayHoursModal(dateStr, onSave) {
+    const date = timeUtils.parseDate(dateStr);
+    const resolved = timeUtils.resolveHours(date);
+    const hasOverride = state.customDates[dateStr] !== undefined;
+    const weekday = ['日', '月', '火', '水', '木', '金', '土'][date.getDay()];
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <h2 class="modal-title">${date.getMonth() + 1}/${date.getDate()}（${weekday}）</h2>
+            <p style="color: var(--text-sub); font-size: 14px; margin-bottom: 16px;">
+                現在 ${resolved.hours}h ・${HOUR_SOURCE_LABELS[resolved.source]}${resolved.period ? `（${resolved.period.name}）` : ''}${resolved.rule ? `（${resolved.rule.name || timeUtils.describeHourRule(resolved.rule)}）` : ''}${resolved.busy ? ` ・${timeUtils.describeBusy(resolved.busy)}` : ''}
+                ${resolved.holidayName ? `<br>${escapeHtml(resolved.holidayName)}` : ''}
+            </p>
+            <div class="form-group">
+                <label>この日の稼働時間</label>
+                <input type="number" id="day-hours-input" value="${resolved.hours}" min="0" max="24" step="${ROUND_STEP}">
+            </div>
+            <div class="modal-actions">
+                ${hasOverride ? '<button class="btn btn-ghost" id="day-hours-clear" style="color: var(--accent-red)">例外を解除</button>' : ''}
+                <button class="btn btn-ghost" id="day-hours-cancel">キャンセル</button>
+                <button class="btn btn-primary" id="day-hours-save">設定</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => {
+        modal.remove();
+        onSave();
+    };
+    modal.querySelector('#day-hours-cancel').onclick = () => modal.remove();
+    modal.querySelector('#day-hours-save').onclick = () => {
+        state.customDates[dateStr] = Math.max(0, parseFloat(modal.querySelector('#day-hours-input').value) || 0);
+        storage.save();
+        close();
+    };
+    if (hasOverride) {
+        modal.querySelector('#day-hours-clear').onclick = () => {
+            delete state.customDates[dateStr];
+            storage.save();
+            close();
+        };
+    }
+}
+
+/**
+ * Side-by-side table of each target's hours with the original schedule and with the sandbox edits
+ */
+function renderSandboxDiff() {
+    const rows = sandbox.compare();
+    if (rows.length === 0) return '<p class="empty-state" style="padding: 10px;">ターゲットがありません</p>';
+
+    const round = (h) => Math.round(h * 10) / 10;
+    const cell = (before, after) => {
+        const delta = round(after - before);
+        return `
+            <td>${round(before)}h</td>
+            <td>${round(after)}h</td>
+            <td class="${delta > 0 ? 'is-plus' : delta < 0 ? 'is-minus' : ''}">${delta > 0 ? '+' : ''}${delta}h</td>
+        `;
+    };
+
+    return `
+        <table class="sandbox-table">
+            <thead>
+                <tr><th></th><th>現在</th><th>変更後</th><th>差</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(({ target, before, after }) => `
+                    <tr class="sandbox-target">
+                        <th style="color: ${target.color}">${target.name}<small>可処分（calcTotalHours）</small></th>
+                        ${cell(before.totalHours, after.totalHours)}
+                    </tr>
+                    ${after.allocated !== null && (after.allocated !== after.totalHours || before.allocated !== before.totalHours) ? `
+                        <tr>
+                            <th><small>配分後</small></th>
+                            ${cell(before.allocated || 0, after.allocated || 0)}
+                        </tr>
+                    ` : ''}
+                    ${after.allocated === null ? '' : target.tasks.map(task => {
+                        const hoursIn = (summary) => (summary.tasks.find(t => t.id === task.id) || { hours: 0 }).hours;
+                        return `
+                            <tr class="sandbox-task">
+                                <th>${task.title}</th>
+                                ${cell(hoursIn(before), hoursIn(after))}
+                            </tr>
+                        `;
+                    }).join('')}
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Charts (inline SVG) ---
+const chartUtils = {
+    width: 320,
+    height: 160,
+    pad: { top: 10, right: 8, bottom: 22, left: 30 },
+
+    /**
+     * Line chart. series: [{ values: [number|null], color, dashed }] (one value per x step).
+     * options: { labels: [{ index, text }], markerIndex }
+     */
+    line: (series, options = {}) => {
+        const { width, height, pad } = chartUtils;
+        const count = Math.max(...series.map(s => s.values.length));
+        const max = Math.max(1, ...series.flatMap(s => s.values.filter(v => v !== null)));
+        const x = (i) => pad.left + (count <= 1 ? 0 : (i / (count - 1)) * (width - pad.left - pad.right));
+        const y = (v) => pad.top + (1 - v / max) * (height - pad.top - pad.bottom);
+
+        const paths = series.map(s => {
+            let d = '';
+            s.values.forEach((v, i) => {
+                if (v === null) return;
+                d += `${d ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+            });
+            return `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="2" ${s.dashed ? 'stroke-dasharray="4 3"' : ''} />`;
+        }).join('');
+
+        const marker = options.markerIndex !== undefined && options.markerIndex >= 0 && options.markerIndex < count
+            ? `<line class="chart-marker" x1="${x(options.markerIndex)}" x2="${x(options.markerIndex)}" y1="${pad.top}" y2="${height - pad.bottom}" />`
+            : '';
+        const labels = (options.labels || []).map(l =>
+            `<text class="chart-label" x="${x(l.index)}" y="${height - 6}" text-anchor="middle">${l.text}</text>`).join('');
+
+        return chartUtils.frame(max, paths + marker + labels);
+    },
+
+    /**
+     * Grouped vertical bars. groups: [{ label, values: [{ value, color }] }]
+     */
+    bars: (groups) => {
+        const { width, height, pad } = chartUtils;
+        const max = Math.max(1, ...groups.flatMap(g => g.values.map(v => v.value)));
+        const groupWidth = (width - pad.left - pad.right) / Math.max(1, groups.length);
+        const barWidth = (groupWidth * 0.7) / Math.max(1, ...groups.map(g => g.values.length));
+        const plotHeight = height - pad.top - pad.bottom;
+
+        const content = groups.map((g, gi) => {
+            const left = pad.left + gi * groupWidth + groupWidth * 0.15;
+            const bars = g.values.map((v, vi) => {
+                const h = (v.value / max) * plotHeight;
+                return `<rect x="${(left + vi * barWidth).toFixed(1)}" y="${(pad.top + plotHeight - h).toFixed(1)}" width="${(barWidth - 1).toFixed(1)}" height="${h.toFixed(1)}" fill="${v.color}" rx="1" />`;
+            }).join('');
+            return `${bars}<text class="chart-label" x="${(left + groupWidth * 0.35).toFixed(1)}" y="${height - 6}" text-anchor="middle">${g.label}</text>`;
+        }).join('');
+
+        return chartUtils.frame(max, content);
+    },
+
+    /**
+     * Horizontal progress bars. rows: [{ label, value, total, color }]
+     */
+    progressBars: (rows) => {
+        const { width } = chartUtils;
+        const rowHeight = 28;
+        const height = Math.max(rowHeight, rows.length * rowHeight);
+        const max = Math.max(1, ...rows.map(r => Math.max(r.value, r.total || 0)));
+        const barLeft = 96;
+        const barWidth = width - barLeft - 56;
+
+        const content = rows.map((r, i) => {
+            const top = i * rowHeight + 6;
+            const totalBar = r.total ? `<rect x="${barLeft}" y="${top}" width="${(r.total / max * barWidth).toFixed(1)}" height="12" fill="none" stroke="${r.color}" stroke-dasharray="3 2" rx="2" />` : '';
+            return `
+                <text class="chart-label chart-row-label" x="0" y="${top + 10}">${r.label.length > 8 ? `${r.label.slice(0, 8)}…` : r.label}</text>
+                ${totalBar}
+                <rect x="${barLeft}" y="${top}" width="${(r.value / max * barWidth).toFixed(1)}" height="12" fill="${r.color}" rx="2" />
+                <text class="chart-label" x="${width}" y="${top + 10}" text-anchor="end">${Math.round(r.value * 10) / 10}${r.total ? `/${r.total}` : ''}h</text>
+            `;
+        }).join('');
+
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${content}</svg>`;
+    },
+
+    /**
+     * SVG wrapper with a baseline and the y-axis maximum
+     */
+    frame: (max, content) => {
+        const { width, height, pad } = chartUtils;
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+                <line class="chart-axis" x1="${pad.left}" x2="${width - pad.right}" y1="${height - pad.bottom}" y2="${height - pad.bottom}" />
+                <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top}" y2="${pad.top}" />
+                <text class="chart-label" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${Math.round(max)}h</text>
+                <text class="chart-label" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">0</text>
+                ${content}
+            </svg>
+        `;
+    }
+};
+
+const STATS_WEEKS = 8;
 
-                        <!-- 今日 -->
-                        <div class="road-marker marker-today" style="left: ${todayPos}%;">
-                            ${stickmanHtml}
-                            <div class="marker-label">TODAY</div>
-                            <div class="marker-remaining">あと${remaining}日</div>
-                        </div>
+function renderStats() {
+    const container = document.getElementById('stats-view');
+    if (!container) return;
 
-                        <!-- 目標日 -->
-                        <div class="road-marker" style="left: 100%;">
-                            <div class="marker-label">GOAL</div>
-                            <div class="marker-dot"></div>
-                            <div class="marker-date">${end.getMonth() + 1}/${end.getDate()}</div>
-                        </div>
-                    </div>
-                </div>
+    const today = timeUtils.startOfDay(new Date());
+    const studyTargets = state.targets.filter(t => t.type === 'study');
+
+    container.innerHTML = `
+        <h1 class="glow-text">Stats</h1>
+        <section class="card stats-card">
+            <h2>週ごとの予定と実績</h2>
+            ${renderWeeklyChart(today)}
+            <div class="timeline-legend">
+                <span><i style="background: var(--border-color)"></i>稼働時間（予定）</span>
+                <span><i style="background: var(--primary-color)"></i>記録した時間</span>
             </div>
-        `;
+        </section>
+        ${studyTargets.length === 0 ? '<div class="empty-state"><p>勉強ターゲットがありません</p></div>' : ''}
+        ${studyTargets.map(target => renderTargetStats(target, today)).join('')}
+    `;
+}
+
+/**
+ * Available hours (getHoursForDate) vs. hours logged on any task, per week (Mon–Sun)
+ */
+function renderWeeklyChart(today) {
+    const monday = new Date(today);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7) - (STATS_WEEKS - 1) * 7);
 
+    const logged = {};
+    state.targets.forEach(t => t.tasks.forEach(task => (task.logs || []).forEach(log => {
+        logged[log.date] = (logged[log.date] || 0) + (log.hours || 0);
+    })));
 
+    const groups = [];
+    for (let w = 0; w < STATS_WEEKS; w++) {
+        let planned = 0;
+        let actual = 0;
+        const day = new Date(monday);
+        day.setDate(day.getDate() + w * 7);
+        const label = `${day.getMonth() + 1}/${day.getDate()}`;
+        for (let i = 0; i < 7; i++) {
+            planned += timeUtils.getHoursForDate(day);
+            actual += logged[timeUtils.formatDate(day)] || 0;
+            day.setDate(day.getDate() + 1);
+        }
+        groups.push({
+            label,
+            values: [{ value: planned, color: 'var(--border-color)' }, { value: actual, color: 'var(--primary-color)' }]
+        });
+    }
+    return chartUtils.bars(groups);
+}
 
+/**
+ * Burn-down and task breakdown for one study target
+ */
+function renderTargetStats(target, today) {
+    const start = timeUtils.startOfDay(new Date(target.createdAt || Date.now()));
+    const end = timeUtils.parseDate(target.targetDate);
+    const days = [];
+    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) days.push(new Date(d));
+
+    // 残りの可処分時間 = calcTotalHours(その日, 目標日)。後ろから累計すると1回の走査で済む
+    const available = new Array(days.length).fill(0);
+    for (let i = days.length - 2; i >= 0; i--) {
+        available[i] = available[i + 1] + timeUtils.getAvailableHours(days[i]);
+    }
+
+    // 残りの必要時間（見積もりのあるタスクのみ）。記録は当日の終わりまでを反映する
+    const estimated = target.tasks.filter(t => t.requiredHours > 0);
+    const todayStr = timeUtils.formatDate(today);
+    const remainingWork = days.map(day => {
+        const dateStr = timeUtils.formatDate(day);
+        if (estimated.length === 0 || dateStr > todayStr) return null;
+        return estimated.reduce((sum, task) => {
+            if (task.done && dateStr === todayStr) return sum;
+            const logged = (task.logs || []).filter(l => l.date <= dateStr).reduce((s, l) => s + (l.hours || 0), 0);
+            return sum + Math.max(0, task.requiredHours - logged);
+        }, 0);
     });
 
-    roadContainer.innerHTML = roadHtml;
+    const labelIndexes = days.length <= 1 ? [0] : [0, Math.floor((days.length - 1) / 2), days.length - 1];
+    const labels = labelIndexes.map(index => ({ index, text: `${days[index].getMonth() + 1}/${days[index].getDate()}` }));
+    const todayIndex = days.findIndex(d => timeUtils.formatDate(d) === todayStr);
+
+    const taskRows = target.tasks.map(task => ({
+        label: task.title,
+        value: timeUtils.sumLoggedHours(task),
+        total: task.requiredHours > 0 ? task.requiredHours : 0,
+        color: task.done ? 'var(--accent-green)' : target.color
+    }));
+
+    return `
+        <section class="card stats-card">
+            <h2 style="color: ${target.color}">${target.name}</h2>
+            <h3>バーンダウン</h3>
+            ${days.length === 0 ? '<p class="settings-note">目標日が開始日より前です</p>' : chartUtils.line([
+                { values: available, color: target.color },
+                { values: remainingWork, color: 'var(--text-main)', dashed: true }
+            ], { labels, markerIndex: todayIndex })}
+            <div class="timeline-legend">
+                <span><i style="background: ${target.color}"></i>残りの可処分時間</span>
+                ${estimated.length > 0 ? '<span><i style="background: var(--text-main)"></i>残りの必要時間</span>' : ''}
+            </div>
+            ${estimated.length === 0 ? '<p class="settings-note">タスクに必要時間を入力すると、残りの作業量も表示されます。</p>' : ''}
+            <h3>タスク別の記録</h3>
+            ${taskRows.length === 0 ? '<p class="settings-note">タスクがありません</p>' : chartUtils.progressBars(taskRows)}
+        </section>
+    `;
 }
 
+const TARGET_COLORS = [
+    { value: '#ff8c00', label: 'オレンジ' },
+    { value: '#00e676', label: 'ミントグリーン' },
+    { value: '#2196f3', label: 'ブルー' },
+    { value: '#ff4b4b', label: 'レッド' },
+    { value: '#9c27b0', label: 'パープル' }
+];
 
 function showAddTargetModal() {
+    showTargetModal();
+}
+
+/**
+ * Create, edit or duplicate a target.
+ * Editing keeps tasks and createdAt; duplicating copies the tasks and subtasks (without logs or done flags) into a new target.
+ */
+function showTargetModal(source = null, { duplicate = false } = {}) {
+    const isEdit = !!source && !duplicate;
+    const type = source ? source.type : 'study';
+    const color = source ? source.color : TARGET_COLORS[0].value;
+    const isPresetColor = TARGET_COLORS.some(c => c.value === color);
+    const title = isEdit ? 'ターゲットを編集' : (duplicate ? 'ターゲットを複製' : '新規ターゲット追加');
+
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.innerHTML = `
         <div class="modal-content">
-            <h2 class="modal-title">新規ターゲット追加</h2>
+            <h2 class="modal-title">${title}</h2>
             <div class="form-group">
                 <label>種別</label>
                 <div class="type-selector">
                     <label class="type-option">
-                        <input type="radio" name="target-type" value="study" checked>
+                        <input type="radio" name="target-type" value="study" ${type === 'study' ? 'checked' : ''}>
                         <span>勉強・仕事<br><small>（時間管理あり）</small></span>
                     </label>
                     <label class="type-option">
-                        <input type="radio" name="target-type" value="event" >
+                        <input type="radio" name="target-type" value="event" ${type === 'event' ? 'checked' : ''}>
                         <span>イベント<br><small>（日数のみ）</small></span>
                     </label>
                 </div>
             </div>
             <div class="form-group">
                 <label>ターゲット名（目的）</label>
-                <input type="text" id="new-target-name" placeholder="例: 英検準1級、定期テスト">
+                <input type="text" id="new-target-name" placeholder="例: 英検準1級、定期テスト" value="${source ? (duplicate ? `${source.name}（コピー）` : source.name) : ''}">
             </div>
             <div class="form-group">
                 <label>締切日（目標日）</label>
-                <input type="date" id="new-target-date" value="${new Date().toISOString().split('T')[0]}">
+                <input type="date" id="new-target-date" value="${source ? source.targetDate : timeUtils.formatDate(new Date())}">
             </div>
             <div class="form-group">
                 <label>カラー</label>
-                <select id="new-target-color">
-                    <option value="#ff8c00" selected>オレンジ</option>
-                    <option value="#00e676">ミントグリーン</option>
-                    <option value="#2196f3">ブルー</option>
-                    <option value="#ff4b4b">レッド</option>
-                    <option value="#9c27b0">パープル</option>
-                </select>
+                <div class="color-picker-row">
+                    <select id="new-target-color">
+                        ${TARGET_COLORS.map(c => `<option value="${c.value}" ${c.value === color ? 'selected' : ''}>${c.label}</option>`).join('')}
+                        <option value="custom" ${isPresetColor ? '' : 'selected'}>カスタム</option>
+                    </select>
+                    <input type="color" id="new-target-custom-color" value="${color}">
+                </div>
             </div>
             <div class="modal-actions">
                 <button class="btn btn-ghost" id="modal-cancel">キャンセル</button>
@@ -970,36 +4153,163 @@ function showAddTargetModal() {
     `;
     document.body.appendChild(modal);
 
+    const colorSelect = modal.querySelector('#new-target-color');
+    const customColor = modal.querySelector('#new-target-custom-color');
+    colorSelect.onchange = () => {
+        if (colorSelect.value !== 'custom') customColor.value = colorSelect.value;
+    };
+    customColor.oninput = () => {
+        const preset = TARGET_COLORS.find(c => c.value === customColor.value.toLowerCase());
+        colorSelect.value = preset ? preset.value : 'custom';
+    };
+
     modal.querySelector('#modal-cancel').onclick = () => modal.remove();
     modal.querySelector('#modal-save').onclick = () => {
         const type = modal.querySelector('input[name="target-type"]:checked').value;
         const name = document.getElementById('new-target-name').value;
         const date = document.getElementById('new-target-date').value;
-        const color = document.getElementById('new-target-color').value;
+        const color = customColor.value;
 
         if (name && date) {
-            const newTarget = {
-                id: crypto.randomUUID(),
-                type: type,
-                name: name,
-                targetDate: date,
-                color: color,
-                tasks: [],
-                createdAt: Date.now()
-            };
-            if (type === 'study') {
-                newTarget.tasks.push({ id: crypto.randomUUID(), title: '基本学習', weight: 1 });
+            let target;
+            if (isEdit) {
+                target = source;
+                Object.assign(target, { type, name, targetDate: date, color });
+            } else {
+                target = {
+                    id: crypto.randomUUID(),
+                    type: type,
+                    name: name,
+                    targetDate: date,
+                    color: color,
+                    // 複製は進捗を持ち越さない（サブタスクも新しい配列にして元のターゲットと共有しない）
+                    tasks: duplicate ? source.tasks.map(t => ({
+                        ...t,
+                        id: crypto.randomUUID(),
+                        done: false,
+                        logs: [],
+                        subtasks: (t.subtasks || []).map(st => ({ ...st, id: crypto.randomUUID(), done: false }))
+                    })) : [],
+                    createdAt: Date.now()
+                };
+                if (duplicate && source.priority) target.priority = source.priority;
+                state.targets.push(target);
+            }
+            if (type === 'study' && target.tasks.length === 0) {
+                target.tasks.push({ id: crypto.randomUUID(), title: '基本学習', weight: 1 });
             }
-            state.targets.push(newTarget);
             storage.save();
             modal.remove();
-            renderList();
+
+            if (isEdit) {
+                renderDetail(target);
+            } else if (duplicate) {
+                switchView('detail', target.id);
+            } else {
+                renderList();
+            }
+        }
+    };
+}
+
+function showLogSessionModal(task, onSave) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <h2 class="modal-title">実績を記録</h2>
+            <p style="color: var(--text-sub); margin-bottom: 16px;">${task.title}</p>
+            <div class="form-group">
+                <label>日付</label>
+                <input type="date" id="log-date" value="${timeUtils.formatDate(new Date())}">
+            </div>
+            <div class="form-group">
+                <label>学習時間（時間）</label>
+                <input type="number" id="log-hours" value="1" min="0" max="24" step="${ROUND_STEP}">
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn-ghost" id="log-cancel">キャンセル</button>
+                <button class="btn btn-primary" id="log-save">保存</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('#log-cancel').onclick = () => modal.remove();
+    modal.querySelector('#log-save').onclick = () => {
+        const date = modal.querySelector('#log-date').value;
+        const hours = parseFloat(modal.querySelector('#log-hours').value) || 0;
+
+        if (date && hours > 0) {
+            if (!task.logs) task.logs = [];
+            task.logs.push({ id: crypto.randomUUID(), date, hours });
+            storage.save();
+            modal.remove();
+            onSave();
+        } else {
+            alert('日付と時間を入力してください');
         }
     };
 }
 
 // --- Navigation ---
-function switchView(viewName, params = null) {
+const router = {
+    /**
+     * URL hash for a view: #/list, #/road, #/settings, #/target/<id>, #/target/<id>/plan
+     */
+    toHash: (viewName, params = null) => {
+        if (viewName === 'detail' && params) return `#/target/${encodeURIComponent(params)}`;
+        if (viewName === 'plan' && params) return `#/target/${encodeURIComponent(params)}/plan`;
+        return `#/${viewName}`;
+    },
+
+    /**
+     * Resolve a hash to { viewName, params } (null if it matches no view)
+     */
+    parse: (hash) => {
+        let parts;
+        try {
+            parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            // 手で書き換えた URL の不正なエスケープ (%E0 など)
+            return null;
+        }
+        if (parts[0] === 'target' && parts[1]) {
+            if (parts.length === 2) return { viewName: 'detail', params: parts[1] };
+            if (parts.length === 3 && parts[2] === 'plan') return { viewName: 'plan', params: parts[1] };
+            return null;
+        }
+        if (parts.length === 1 && Object.hasOwn(views, parts[0]) && !['detail', 'plan'].includes(parts[0])) {
+            return { viewName: parts[0], params: null };
+        }
+        return null;
+    },
+
+    /**
+     * Record the current view in the URL. A new history entry is pushed unless replace is set.
+     */
+    sync: (viewName, params, replace = false) => {
+        const hash = router.toHash(viewName, params);
+        if (location.hash === hash) return;
+        if (replace) history.replaceState(null, '', hash);
+        else history.pushState(null, '', hash);
+    },
+
+    /**
+     * Show the view for the current URL (browser back/forward, edited or bookmarked links)
+     */
+    resolve: () => {
+        const route = router.parse(location.hash);
+        if (!route) return false;
+        switchView(route.viewName, route.params);
+        return true;
+    }
+};
+
+function switchView(viewName, params = null, { replace = false } = {}) {
+    // Tear down the current view (timers etc.)
+    if (views[state.currentView]) views[state.currentView].destroy();
+
     // Hide all views
     document.querySelectorAll('.view').forEach(v => v.classList.add('hidden'));
     document.querySelectorAll('.nav-item').forEach(v => v.classList.remove('active'));
@@ -1020,7 +4330,458 @@ function switchView(viewName, params = null) {
         // Save state
         localStorage.setItem('timemark_last_view', viewName);
         if (params) localStorage.setItem('timemark_selected_id', params);
+
+        // init may have redirected (e.g. unknown target → list); only record the view that stayed
+        if (state.currentView === viewName) router.sync(viewName, params, replace);
+
+        renderFocusChip(focusTimer.load());
+    }
+}
+
+// --- Reminders ---
+const REMINDER_CHECK_INTERVAL = 60 * 1000;
+const DEADLINE_REMINDER_TIME = '09:00';
+const DAILY_REMINDER_WINDOW_MINUTES = 120; // 指定時刻からこの時間内に開いていれば通知する
+
+const notifier = {
+    /**
+     * Check reminders now and every minute while the app is open
+     */
+    start: () => {
+        notifier.check();
+        setInterval(() => notifier.check(), REMINDER_CHECK_INTERVAL);
+    },
+
+    isSupported: () => 'Notification' in window,
+
+    toMinutes: (hhmm) => {
+        const [h, m] = hhmm.split(':').map(Number);
+        return h * 60 + m;
+    },
+
+    /**
+     * Whether `now` falls in quiet hours (the range may wrap past midnight, e.g. 22:00–07:00)
+     */
+    isQuiet: (now) => {
+        const { quietStart, quietEnd } = state.notifications;
+        if (!quietStart || !quietEnd || quietStart === quietEnd) return false;
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = notifier.toMinutes(quietStart);
+        const end = notifier.toMinutes(quietEnd);
+        return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    },
+
+    /**
+     * Reminders due at `now` that have not been shown yet: [{ key, title, body, targetId }]
+     */
+    collectDue: (now) => {
+        const todayStr = timeUtils.formatDate(now);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const sent = notifier.loadSent();
+        const due = [];
+
+        state.targets.forEach(target => {
+            const reminders = target.reminders || {};
+            const daysLeft = timeUtils.calcCalendarDays(now, timeUtils.parseDate(target.targetDate));
+
+            if (reminders.daysBefore > 0 && daysLeft === reminders.daysBefore && minutes >= notifier.toMinutes(DEADLINE_REMINDER_TIME)) {
+                due.push({
+                    key: `deadline-${target.id}-${todayStr}`,
+                    title: `${target.name} まであと${daysLeft}日`,
+                    body: `目標日 ${target.targetDate}`,
+                    targetId: target.id
+                });
+            }
+
+            if (target.type === 'study' && reminders.dailyTime && daysLeft > 0) {
+                const since = minutes - notifier.toMinutes(reminders.dailyTime);
+                if (since >= 0 && since < DAILY_REMINDER_WINDOW_MINUTES) {
+                    due.push({
+                        key: `daily-${target.id}-${todayStr}`,
+                        title: `${target.name} の時間です`,
+                        body: `今日の割り当て ${calcTodayLeft(target)}h（目標日まであと${daysLeft}日）`,
+                        targetId: target.id
+                    });
+                }
+            }
+        });
+        return due.filter(r => !sent[r.key]);
+    },
+
+    check: (now = new Date()) => {
+        if (!state.notifications.enabled || !notifier.isSupported() || Notification.permission !== 'granted') return;
+
+        const due = notifier.collectDue(now);
+        const sent = notifier.loadSent();
+        due.forEach(r => sent[r.key] = timeUtils.formatDate(now));
+
+        // 静かな時間帯は送らずにためておき、明けてから送る（通知の時間枠が過ぎても消えないように）
+        if (notifier.isQuiet(now)) {
+            if (due.length === 0) return;
+            notifier.saveQueue([...notifier.loadQueue(), ...due]);
+            notifier.saveSent(sent);
+            return;
+        }
+
+        // 削除したターゲットのリマインダーは送らない
+        const queued = notifier.loadQueue().filter(r => state.targets.some(t => t.id === r.targetId));
+        if (queued.length === 0 && due.length === 0) return;
+        [...queued, ...due].forEach(r => notifier.show(r.title, r.body, r.targetId));
+        notifier.saveQueue([]);
+        notifier.saveSent(sent);
+    },
+
+    /**
+     * Show through the service worker when one is active (works on mobile), else from the page
+     */
+    show: async (title, body, targetId = null) => {
+        const options = {
+            body,
+            icon: 'icon-192.png',
+            tag: targetId ? `timemark-${targetId}` : 'timemark',
+            data: { url: targetId ? router.toHash('detail', targetId) : '#/list' }
+        };
+        try {
+            const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+            if (registration) {
+                await registration.showNotification(title, options);
+                return;
+            }
+        } catch (e) {
+            console.warn('Service worker notification failed:', e);
+        }
+        // Android Chrome などはページからの new Notification を許可せず例外を投げる
+        try {
+            new Notification(title, options);
+        } catch (e) {
+            console.warn('Notification failed:', e);
+        }
+    },
+
+    // 静かな時間帯にたまったリマインダー [{ key, title, body, targetId }]
+    loadQueue: () => JSON.parse(localStorage.getItem('timemark_notify_queue') || '[]'),
+    saveQueue: (queue) => {
+        if (queue.length === 0) localStorage.removeItem('timemark_notify_queue');
+        else localStorage.setItem('timemark_notify_queue', JSON.stringify(queue));
+    },
+
+    // 送信済みのリマインダー（同じ日に二度送らないため）。古いものは捨てる
+    loadSent: () => JSON.parse(localStorage.getItem('timemark_notified') || '{}'),
+    saveSent: (sent) => {
+        const weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - 7);
+        const cutoff = timeUtils.formatDate(weekAgo);
+        Object.keys(sent).forEach(key => {
+            if (sent[key] < cutoff) delete sent[key];
+        });
+        localStorage.setItem('timemark_notified', JSON.stringify(sent));
+    },
+
+    /**
+     * Ask for permission if needed. Resolves to true when notifications can be shown.
+     */
+    requestPermission: async () => {
+        if (!notifier.isSupported()) return false;
+        if (Notification.permission === 'granted') return true;
+        if (Notification.permission === 'denied') return false;
+        return (await Notification.requestPermission()) === 'granted';
+    }
+};
+
+// --- Focus Timer ---
+// 実行中のタイマーは開始時刻ごと localStorage に保存し、画面遷移・再読み込みをまたいで続ける。
+// { targetId, taskId, workMinutes, breakMinutes, phase: 'work'|'break'|'ready', startedAt }
+const FOCUS_TIMER_KEY = 'timemark_focus_timer';
+
+const focusTimer = {
+    load: () => JSON.parse(localStorage.getItem(FOCUS_TIMER_KEY) || 'null'),
+    save: (timer) => localStorage.setItem(FOCUS_TIMER_KEY, JSON.stringify(timer)),
+    clear: () => localStorage.removeItem(FOCUS_TIMER_KEY),
+
+    start: (targetId, taskId, workMinutes, breakMinutes) => {
+        focusTimer.save({ targetId, taskId, workMinutes, breakMinutes, phase: 'work', startedAt: Date.now() });
+    },
+
+    /**
+     * End of the current phase in ms (null while waiting for the next session)
+     */
+    phaseEnd: (timer) => {
+        if (timer.phase === 'work') return timer.startedAt + timer.workMinutes * 60 * 1000;
+        if (timer.phase === 'break') return timer.startedAt + timer.breakMinutes * 60 * 1000;
+        return null;
+    },
+
+    findTask: (timer) => {
+        const target = state.targets.find(t => t.id === timer.targetId);
+        const task = target && target.tasks.find(t => t.id === timer.taskId);
+        return { target, task };
+    },
+
+    /**
+     * Save minutes of work on the timer's task as a log dated by when the session started
+     */
+    record: (timer, minutes) => {
+        const { task } = focusTimer.findTask(timer);
+        if (!task || minutes <= 0) return;
+        if (!task.logs) task.logs = [];
+        task.logs.push({
+            id: crypto.randomUUID(),
+            date: timeUtils.formatDate(new Date(timer.startedAt)),
+            hours: Math.round(minutes / 60 * 100) / 100
+        });
+        storage.save();
+    },
+
+    /**
+     * Move through finished phases: work → (log) → break → ready.
+     * It stops at 'ready', so a timer left running while away logs at most one session.
+     * Returns the updated timer and whether a session was recorded.
+     */
+    advance: (timer, now = Date.now()) => {
+        let recorded = false;
+        let end = focusTimer.phaseEnd(timer);
+        while (end !== null && now >= end) {
+            if (timer.phase === 'work') {
+                focusTimer.record(timer, timer.workMinutes);
+                recorded = true;
+                timer = { ...timer, phase: 'break', startedAt: end };
+            } else {
+                timer = { ...timer, phase: 'ready', startedAt: end };
+            }
+            end = focusTimer.phaseEnd(timer);
+        }
+        return { timer, recorded };
+    },
+
+    /**
+     * Stop the timer; work already done in an unfinished session is kept if `keepPartial`
+     */
+    stop: (keepPartial) => {
+        const timer = focusTimer.load();
+        if (!timer) return;
+        if (keepPartial && timer.phase === 'work') {
+            focusTimer.record(timer, Math.floor((Date.now() - timer.startedAt) / 60000));
+        }
+        focusTimer.clear();
+    },
+
+    /**
+     * Once a second: advance phases, then refresh the detail panel and the floating chip
+     */
+    tick: () => {
+        const saved = focusTimer.load();
+        let timer = saved;
+        if (timer) {
+            if (!focusTimer.findTask(timer).task) {
+                // タスクやターゲットが削除された
+                focusTimer.clear();
+                timer = null;
+            } else {
+                const result = focusTimer.advance(timer);
+                timer = result.timer;
+                if (timer.phase !== saved.phase) {
+                    focusTimer.save(timer);
+                    focusTimer.notifyPhase(saved, timer);
+                }
+                if (result.recorded && state.currentView === 'detail' && state.selectedTargetId === timer.targetId) {
+                    renderDetail(focusTimer.findTask(timer).target);
+                }
+            }
+        }
+
+        const section = document.getElementById('focus-section');
+        if (section) {
+            const target = state.targets.find(t => t.id === section.dataset.targetId);
+            if (section.dataset.phase !== focusTimer.phaseKey(timer)) {
+                if (target) bindFocusSection(section, target);
+            } else {
+                const remaining = section.querySelector('#focus-remaining');
+                if (remaining && timer) remaining.textContent = focusTimer.formatRemaining(timer);
+            }
+        }
+        renderFocusChip(timer);
+    },
+
+    phaseKey: (timer) => timer ? `${timer.targetId}:${timer.phase}` : 'idle',
+
+    formatRemaining: (timer) => {
+        const ms = Math.max(0, focusTimer.phaseEnd(timer) - Date.now());
+        const totalSeconds = Math.ceil(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    },
+
+    notifyPhase: (before, after) => {
+        if (!state.notifications.enabled || !notifier.isSupported() || Notification.permission !== 'granted') return;
+        const { task } = focusTimer.findTask(after);
+        if (before.phase === 'work') {
+            notifier.show('作業セッション終了', `${task.title} に ${after.workMinutes}分 を記録しました。休憩しましょう`, after.targetId);
+        } else if (after.phase === 'ready') {
+            notifier.show('休憩終了', '次のセッションを始めましょう', after.targetId);
+        }
+    }
+};
+
+/**
+ * Focus timer panel for a study target's detail view
+ */
+function renderFocusSection(target) {
+    const timer = focusTimer.load();
+    return `<section class="focus-section card" id="focus-section" data-target-id="${target.id}" data-phase="${focusTimer.phaseKey(timer)}"></section>`;
+}
+
+function bindFocusSection(section, target) {
+    const timer = focusTimer.load();
+    section.dataset.phase = focusTimer.phaseKey(timer);
+    const activeTasks = target.tasks.filter(t => !t.done);
+
+    if (timer && timer.targetId !== target.id) {
+        const other = focusTimer.findTask(timer).target;
+        section.innerHTML = `
+            <h2>集中タイマー</h2>
+            <p class="settings-note">「${other ? other.name : ''}」でタイマーを実行中です。</p>
+            <button class="btn btn-ghost btn-sm" id="focus-open-other">そのターゲットを開く</button>
+        `;
+        section.querySelector('#focus-open-other').onclick = () => switchView('detail', timer.targetId);
+        return;
+    }
+
+    if (!timer) {
+        const last = JSON.parse(localStorage.getItem('timemark_focus_settings') || '{"workMinutes":25,"breakMinutes":5}');
+        section.innerHTML = `
+            <h2>集中タイマー</h2>
+            ${activeTasks.length === 0 ? '<p class="settings-note">未完了のタスクがありません</p>' : `
+                <div class="form-group">
+                    <select id="focus-task-select">
+                        ${activeTasks.map(t => `<option value="${t.id}">${t.title}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="focus-settings">
+                    <label>作業 <input type="number" id="focus-work-minutes" value="${last.workMinutes}" min="1" max="180" step="1"> 分</label>
+                    <label>休憩 <input type="number" id="focus-break-minutes" value="${last.breakMinutes}" min="0" max="60" step="1"> 分</label>
+                    <button class="btn btn-primary btn-sm" id="focus-start-btn">▶ 開始</button>
+                </div>
+            `}
+        `;
+        const startBtn = section.querySelector('#focus-start-btn');
+        if (startBtn) startBtn.onclick = () => {
+            const workMinutes = Math.max(1, parseInt(section.querySelector('#focus-work-minutes').value) || 25);
+            const breakMinutes = Math.max(0, parseInt(section.querySelector('#focus-break-minutes').value) || 0);
+            localStorage.setItem('timemark_focus_settings', JSON.stringify({ workMinutes, breakMinutes }));
+            focusTimer.start(target.id, section.querySelector('#focus-task-select').value, workMinutes, breakMinutes);
+            focusTimer.tick();
+        };
+        return;
     }
+
+    const { task } = focusTimer.findTask(timer);
+    const phaseLabels = { work: '作業中', break: '休憩中', ready: '休憩終了' };
+    section.innerHTML = `
+        <h2>集中タイマー</h2>
+        <div class="focus-status is-${timer.phase}">
+            <span class="focus-phase">${phaseLabels[timer.phase]}</span>
+            <span class="focus-task">${task ? task.title : ''}</span>
+            ${timer.phase === 'ready' ? '' : `<div class="focus-remaining glow-text" id="focus-remaining">${focusTimer.formatRemaining(timer)}</div>`}
+        </div>
+        <div class="focus-actions">
+            ${timer.phase === 'work' ? '' : '<button class="btn btn-primary btn-sm" id="focus-next-btn">▶ 次のセッション</button>'}
+            <button class="btn btn-ghost btn-sm" id="focus-stop-btn">${timer.phase === 'work' ? '中断' : '終了'}</button>
+        </div>
+    `;
+
+    const nextBtn = section.querySelector('#focus-next-btn');
+    if (nextBtn) nextBtn.onclick = () => {
+        focusTimer.start(timer.targetId, timer.taskId, timer.workMinutes, timer.breakMinutes);
+        focusTimer.tick();
+    };
+    section.querySelector('#focus-stop-btn').onclick = () => {
+        const current = focusTimer.load() || timer;
+        const minutes = Math.floor((Date.now() - current.startedAt) / 60000);
+        const keepPartial = current.phase === 'work' && minutes > 0 && confirm(`ここまでの ${minutes}分 を記録しますか？`);
+        focusTimer.stop(keepPartial);
+        if (keepPartial) renderDetail(target);
+        else focusTimer.tick();
+    };
+}
+
+/**
+ * Small floating timer shown while the timer's own detail view is not on screen
+ */
+function renderFocusChip(timer) {
+    const chip = document.getElementById('focus-chip');
+    if (!chip) return;
+    const onOwnDetail = timer && state.currentView === 'detail' && state.selectedTargetId === timer.targetId;
+    if (!timer || onOwnDetail) {
+        chip.classList.add('hidden');
+        return;
+    }
+    chip.classList.remove('hidden');
+    chip.classList.toggle('is-break', timer.phase !== 'work');
+    chip.textContent = timer.phase === 'ready' ? '⏱ 休憩終了' : `⏱ ${focusTimer.formatRemaining(timer)}${timer.phase === 'break' ? ' 休憩' : ''}`;
+    chip.onclick = () => switchView('detail', timer.targetId);
+}
+
+// --- Banner & Service Worker ---
+/**
+ * Show a message above the nav bar, with an optional action button
+ */
+function showBanner(message, action = null) {
+    const banner = document.getElementById('app-banner');
+    if (!banner) return;
+
+    banner.innerHTML = `
+        <span>${message}</span>
+        ${action ? `<button class="btn btn-primary btn-mini" id="banner-action">${action.label}</button>` : ''}
+        <button class="btn btn-ghost btn-mini" id="banner-close" aria-label="閉じる">✕</button>
+    `;
+    banner.classList.remove('hidden');
+    if (action) banner.querySelector('#banner-action').onclick = action.onClick;
+    banner.querySelector('#banner-close').onclick = hideBanner;
+}
+
+function hideBanner() {
+    const banner = document.getElementById('app-banner');
+    if (banner) banner.classList.add('hidden');
+}
+
+/**
+ * Register sw.js for offline use. When a new version is waiting, offer to reload into it.
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('sw.js');
+    } catch (e) {
+        console.warn('Service worker registration failed:', e);
+        return;
+    }
+
+    // 「更新」を押したときだけ再読み込みする（初回の clients.claim() でも controllerchange が起きるため）
+    let updateRequested = false;
+    const promptUpdate = (worker) => showBanner('新しいバージョンがあります', {
+        label: '更新',
+        onClick: () => {
+            updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    });
+
+    // 初回インストール時（controller なし）は案内しない
+    if (registration.waiting && navigator.serviceWorker.controller) promptUpdate(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker);
+        });
+    });
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!updateRequested || reloading) return;
+        reloading = true;
+        location.reload();
+    });
 }
 
 // --- Background Effects ---
@@ -1049,6 +4810,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     storage.load();
     await storage.loadHolidays();
     initStars();
+    registerServiceWorker();
+    notifier.start();
+    focusTimer.tick();
+    setInterval(() => focusTimer.tick(), 1000);
 
     // Setup Navigation
     document.querySelector('.app-nav').addEventListener('click', (e) => {
@@ -1065,8 +4830,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         addBtn.onclick = showAddTargetModal;
     }
 
-    // Recover previous state
-    const lastView = localStorage.getItem('timemark_last_view') || 'list';
-    const lastId = localStorage.getItem('timemark_selected_id');
-    switchView(lastView, lastId);
+    // Browser back/forward and manually edited URLs
+    window.addEventListener('hashchange', () => router.resolve());
+
+    // Restore the view from the URL, or else the previous session
+    if (!router.resolve()) {
+        const lastView = localStorage.getItem('timemark_last_view') || 'list';
+        const lastId = localStorage.getItem('timemark_selected_id');
+        router.sync(lastView, lastId, true);
+        switchView(lastView, lastId);
+    }
 });
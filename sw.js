@@ -0,0 +1,118 @@
+// --- TimeMark Service Worker ---
+// アプリ本体と Google Fonts（CSS と、そこから参照される woff2）はインストール時にキャッシュする。
+// ファイルを更新したら CACHE_VERSION を上げること（アプリ側で更新の案内が出る）。
+const CACHE_VERSION = 'v9';
+const APP_CACHE = `timemark-app-${CACHE_VERSION}`;
+const FONT_CACHE = 'timemark-fonts';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './style.css',
+    './syukujitsu.csv',
+    './manifest.webmanifest',
+    './icon.svg',
+    './icon-192.png',
+    './icon-512.png',
+    './icon-maskable-192.png',
+    './icon-maskable-512.png',
+    './apple-touch-icon.png'
+];
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(PRECACHE_URLS);
+
+        // フォントはオフラインで取れなくてもインストールは続ける
+        try {
+            const fonts = await caches.open(FONT_CACHE);
+            const response = await fetch(FONT_CSS_URL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            // CSS だけでは文字が描けないので、中の url(...) の woff2 も取っておく
+            const css = await response.clone().text();
+            const fontUrls = [...css.matchAll(/url\((['"]?)([^)'"]+)\1\)/g)].map(m => m[2]);
+            await fonts.addAll(fontUrls);
+            await fonts.put(FONT_CSS_URL, response);
+        } catch (e) {
+            console.warn('Failed to precache fonts:', e);
+        }
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('timemark-app-') && key !== APP_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// ページの「更新」ボタンから待機中の新しいバージョンを有効にする
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Google Fonts: キャッシュ優先、なければ取得して保存
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith((async () => {
+            const cache = await caches.open(FONT_CACHE);
+            // CSS は Vary: User-Agent, Referer 付きなので、インストール時に取ったものにも一致させる
+            const cached = await cache.match(request, { ignoreVary: true });
+            if (cached) return cached;
+            const response = await fetch(request);
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })());
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // アプリ本体: キャッシュ優先。画面遷移はオフラインでも index.html を返す
+    event.respondWith((async () => {
+        const cache = await caches.open(APP_CACHE);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        try {
+            return await fetch(request);
+        } catch (e) {
+            if (request.mode === 'navigate') {
+                const shell = await cache.match('./index.html');
+                if (shell) return shell;
+            }
+            throw e;
+        }
+    })());
+});
+
+// 通知をタップしたら開いているタブを前面に出す（なければ開く）
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || '#/list', self.registration.scope).href;
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(c => c.url.startsWith(self.registration.scope));
+        if (client) {
+            await client.focus();
+            try {
+                if ('navigate' in client) await client.navigate(url);
+                return;
+            } catch (e) {
+                // このワーカーの制御下にないタブでは navigate が失敗するので、新しく開く
+                console.warn('Failed to navigate the open tab:', e);
+            }
+        }
+        await self.clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,137 @@
+// Local-date handling around midnight and DST changes, and the holiday generator.
+// Run under several timezones, e.g.:
+//   TZ=Asia/Tokyo node tests/dates.test.js
+//   TZ=America/New_York node tests/dates.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// app.js を最小限のブラウザ環境で読み込む
+const storage = {};
+const context = vm.createContext({
+    console,
+    TextDecoder,
+    document: { addEventListener: () => { } },
+    localStorage: {
+        getItem: (key) => (key in storage ? storage[key] : null),
+        setItem: (key, value) => storage[key] = String(value),
+        removeItem: (key) => delete storage[key]
+    }
+});
+context.window = context;
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context);
+const { state, timeUtils, icsUtils, holidayUtils } = vm.runInContext('({ state, timeUtils, icsUtils, holidayUtils })', context);
+
+const resetSchedule = () => {
+    state.weeklyHours = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7, holiday: 8 };
+    state.customDates = {};
+    state.timePeriods = [];
+    state.hourRules = [];
+    state.timeSlots = { weekday: null, weekend: null, holiday: null };
+    state.holidays = {};
+    state.holidayCalendars = [];
+};
+
+test('parseDate gives local midnight and round-trips through formatDate', () => {
+    ['2026-01-01', '2026-03-08', '2026-03-29', '2026-11-01', '2026-12-31'].forEach(dateStr => {
+        const date = timeUtils.parseDate(dateStr);
+        assert.strictEqual(date.getHours(), 0);
+        assert.strictEqual(date.getMinutes(), 0);
+        assert.strictEqual(timeUtils.formatDate(date), dateStr);
+    });
+    assert.ok(isNaN(timeUtils.parseDate('2026/03/08')));
+    assert.ok(isNaN(timeUtils.parseDate('')));
+});
+
+test('formatDate uses the local calendar day at 00:00 and 23:59', () => {
+    assert.strictEqual(timeUtils.formatDate(new Date(2026, 2, 8, 0, 0)), '2026-03-08');
+    assert.strictEqual(timeUtils.formatDate(new Date(2026, 2, 8, 23, 59)), '2026-03-08');
+    assert.strictEqual(timeUtils.formatDate(new Date(2026, 11, 31, 23, 59, 59)), '2026-12-31');
+});
+
+test('calcCalendarDays counts whole days across DST changes and from late evening', () => {
+    // 米国: 2026-03-08 開始 / 2026-11-01 終了、欧州: 2026-03-29 / 2026-10-25
+    assert.strictEqual(timeUtils.calcCalendarDays(timeUtils.parseDate('2026-03-07'), timeUtils.parseDate('2026-03-09')), 2);
+    assert.strictEqual(timeUtils.calcCalendarDays(timeUtils.parseDate('2026-10-31'), timeUtils.parseDate('2026-11-02')), 2);
+    assert.strictEqual(timeUtils.calcCalendarDays(timeUtils.parseDate('2026-03-01'), timeUtils.parseDate('2026-04-01')), 31);
+    assert.strictEqual(timeUtils.calcCalendarDays(timeUtils.parseDate('2026-10-20'), timeUtils.parseDate('2026-11-03')), 14);
+    assert.strictEqual(timeUtils.calcCalendarDays(new Date(2026, 2, 7, 23, 59), timeUtils.parseDate('2026-03-08')), 1);
+    assert.strictEqual(timeUtils.calcCalendarDays(new Date(2026, 9, 31, 23, 59), new Date(2026, 10, 1, 0, 0)), 1);
+});
+
+test('getHoursForDate looks up the local day at 00:00 and 23:59', () => {
+    resetSchedule();
+    state.customDates['2026-03-08'] = 1.5;
+    state.holidays['2026-11-03'] = '文化の日';
+
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 8, 0, 0)), 1.5);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 8, 23, 59)), 1.5);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 9, 0, 0)), 1); // 月曜
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 7, 23, 59)), 6); // 土曜
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 10, 3, 0, 0)), 8);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 10, 3, 23, 59)), 8);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 10, 1, 1, 30)), 7); // 日曜（米国 DST 終了日）
+});
+
+test('getHoursForDate applies periods by local date at their boundaries', () => {
+    resetSchedule();
+    const weeklyHours = { mon: 10, tue: 10, wed: 10, thu: 10, fri: 10, sat: 10, sun: 10, holiday: 10 };
+    state.timePeriods = [{ id: 'p', name: 'spring', start: '2026-03-08', end: '2026-03-09', weeklyHours }];
+
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 7, 23, 59)), 6);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 8, 0, 0)), 10);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 9, 23, 59)), 10);
+    assert.strictEqual(timeUtils.getHoursForDate(new Date(2026, 2, 10, 0, 0)), 2); // 火曜
+});
+
+test('calcTotalHours sums each local day once across DST changes', () => {
+    resetSchedule();
+    // 2026-03-07 (土) 〜 2026-03-09 (月) の3日分、目標日は含まない
+    assert.strictEqual(timeUtils.calcTotalHours(timeUtils.parseDate('2026-03-07'), timeUtils.parseDate('2026-03-10')), 6 + 7 + 1);
+    // 2026-10-31 (土) 〜 2026-11-02 (月)
+    assert.strictEqual(timeUtils.calcTotalHours(timeUtils.parseDate('2026-10-31'), timeUtils.parseDate('2026-11-03')), 6 + 7 + 1);
+    // 基準日が 23:59 でもその日から数える
+    assert.strictEqual(timeUtils.calcTotalHours(new Date(2026, 2, 7, 23, 59), timeUtils.parseDate('2026-03-09')), 6 + 7);
+    // 4週間 = 各曜日4回
+    assert.strictEqual(timeUtils.calcTotalHours(timeUtils.parseDate('2026-03-02'), timeUtils.parseDate('2026-03-30')), 4 * 28);
+});
+
+test('icsUtils.expand repeats TZID events on their own wall clock and honours EXDATE after DST changes', () => {
+    const [event] = icsUtils.parse([
+        'BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:tokyo',
+        'DTSTART;TZID=Asia/Tokyo:20261006T090000', 'DTEND;TZID=Asia/Tokyo:20261006T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=6', 'EXDATE;TZID=Asia/Tokyo:20261103T090000',
+        'END:VEVENT', 'END:VCALENDAR'
+    ].join('\r\n'));
+    // vm 内の配列は別レルムなので、比較用にこちらの配列へ移す
+    const starts = [...icsUtils.expand(event, timeUtils.parseDate('2026-10-01'), timeUtils.parseDate('2026-12-31'))]
+        .map(o => o.start.toISOString());
+    // 毎週火曜 09:00 JST = 00:00 UTC（11/3 は除外）
+    assert.deepStrictEqual(starts, ['2026-10-06', '2026-10-13', '2026-10-20', '2026-10-27', '2026-11-10']
+        .map(d => `${d}T00:00:00.000Z`));
+});
+
+test('icsUtils.expand drops single events outside the window', () => {
+    const [past, inside] = icsUtils.parse([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT', 'UID:past', 'DTSTART:20260901T100000', 'DTEND:20260901T110000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:inside', 'DTSTART:20261101T100000', 'DTEND:20261101T110000', 'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+    const windowStart = timeUtils.parseDate('2026-10-01');
+    const windowEnd = timeUtils.parseDate('2026-12-01');
+    assert.strictEqual(icsUtils.expand(past, windowStart, windowEnd).length, 0);
+    assert.strictEqual(icsUtils.expand(inside, windowStart, windowEnd).length, 1);
+});
+
+test('holidayUtils.generate matches the bundled Cabinet Office CSV for 2022–2026', () => {
+    const csv = holidayUtils.parseCSV(holidayUtils.decode(fs.readFileSync(path.join(__dirname, '..', 'syukujitsu.csv'))));
+    for (let year = 2022; year <= 2026; year++) {
+        const expected = Object.fromEntries(Object.entries(csv).filter(([date]) => date.startsWith(`${year}-`)));
+        assert.ok(Object.keys(expected).length > 0, `CSV has no holidays for ${year}`);
+        // vm 内のオブジェクトは別レルムなので、比較用にこちらのオブジェクトへ移す
+        assert.deepStrictEqual({ ...holidayUtils.generate(year) }, expected, `${year}`);
+    }
+});